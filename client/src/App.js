@@ -3,11 +3,21 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { useContext } from 'react';
 import { AuthContext } from './context/AuthContext';
 import Login from './components/Auth/Login';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
+import AcceptInvite from './components/Auth/AcceptInvite';
+import AdminLayout from './components/Admin/AdminLayout';
 import UserTable from './components/Admin/UserTable';
+import Dashboard from './components/Admin/Dashboard';
+import RoleManager from './components/Admin/RoleManager';
+import AuditLog from './components/Admin/AuditLog';
+import Account from './components/Account/Account';
 import LandingPage from './components/LandingPage';
+import ImpersonationBanner from './components/ImpersonationBanner';
 
 function App() {
-  const { user, loading } = useContext(AuthContext);
+  const { user, loading, can } = useContext(AuthContext);
 
   if (loading) {
     return (
@@ -17,15 +27,27 @@ function App() {
     );
   }
 
+  // Anyone who can see the directory lands on the dashboard, everyone else on their own account
+  const homePath = can('users:read') && !user?.twoFactorSetupRequired ? '/admin/dashboard' : '/account';
+  const redirect = <Navigate to={user ? '/account' : '/login'} />;
+
   return (
     <Router>
+      <ImpersonationBanner />
       <Routes>
         <Route path="/" element={<LandingPage />} />
-        <Route path="/login" element={!user ? <Login /> : <Navigate to="/admin" />} />
-        <Route
-          path="/admin"
-          element={user && user.role === 'admin' ? <UserTable /> : <Navigate to="/login" />}
-        />
+        <Route path="/login" element={!user ? <Login /> : <Navigate to={homePath} />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
+        <Route path="/verify-email/:token" element={<VerifyEmail />} />
+        <Route path="/invite/:token" element={!user ? <AcceptInvite /> : <Navigate to={homePath} />} />
+        <Route path="/admin" element={can('users:read') ? <AdminLayout /> : redirect}>
+          <Route index element={<UserTable />} />
+          <Route path="dashboard" element={<Dashboard />} />
+          <Route path="roles" element={can('roles:manage') ? <RoleManager /> : <Navigate to="/admin" />} />
+          <Route path="activity" element={can('audit:read') ? <AuditLog /> : <Navigate to="/admin" />} />
+        </Route>
+        <Route path="/account" element={user ? <Account /> : <Navigate to="/login" />} />
       </Routes>
     </Router>
   );
@@ -4,9 +4,14 @@ import axios from 'axios';
 // Create an Axios instance
 const instance = axios.create({
   baseURL: process.env.REACT_APP_API_BASE_URL || "http://localhost:5000",
+  withCredentials: true, // send the httpOnly refresh token cookie
 });
 
-
+// AuthContext registers here to hear about refreshed or expired sessions
+let authListener = null;
+export const setAuthListener = (listener) => {
+  authListener = listener;
+};
 
 // Add a request interceptor to attach the token
 instance.interceptors.request.use(
@@ -20,4 +25,51 @@ instance.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// The refresh in flight, if any. Everything that needs a new token (the interceptor,
+// the live-update stream) waits on this one promise: each refresh rotates the
+// cookie, and the server treats a second rotation of the same cookie as theft.
+let refreshing = null;
+
+const requestRefresh = async () => {
+  try {
+    const res = await axios.post('/api/users/refresh', null, {
+      baseURL: instance.defaults.baseURL,
+      withCredentials: true,
+    });
+    localStorage.setItem('token', res.data.token);
+    authListener?.('refreshed', res.data);
+    return res.data;
+  } catch (error) {
+    localStorage.removeItem('token');
+    authListener?.('expired');
+    throw error;
+  }
+};
+
+// Ask the server for a new access token using the refresh cookie, or join the request already asking
+export const refreshSession = () => {
+  if (!refreshing) refreshing = requestRefresh().finally(() => (refreshing = null));
+  return refreshing;
+};
+
+// On 401, refresh once (shared with any other request that got one) and replay the original request
+instance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    const isAuthCall = /\/api\/users\/(login(\/2fa)?|refresh|logout)$/.test(original?.url || '');
+
+    if (error.response?.status !== 401 || !original || original._retry || isAuthCall) {
+      return Promise.reject(error);
+    }
+    original._retry = true;
+
+    // A refresh that finished after this request went out already has a new token for it
+    const current = localStorage.getItem('token');
+    const token = current && original.headers['Authorization'] !== `Bearer ${current}` ? current : (await refreshSession()).token;
+    original.headers['Authorization'] = `Bearer ${token}`;
+    return instance(original);
+  }
+);
+
 export default instance;
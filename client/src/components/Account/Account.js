@@ -0,0 +1,216 @@
+// client/src/components/Account/Account.js
+import { useState, useEffect, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import axios from '../../axios';
+import { AuthContext } from '../../context/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
+import ApiKeys from './ApiKeys';
+
+function Account() {
+  const { user, logout, can } = useContext(AuthContext);
+  // An admin looking through this user's eyes can't touch their credentials
+  const impersonating = !!user?.impersonatedBy;
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [details, setDetails] = useState({ name: '', email: '' });
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [detailsStatus, setDetailsStatus] = useState({ error: '', success: '' });
+  const [passwordStatus, setPasswordStatus] = useState({ error: '', success: '' });
+  const [verificationSent, setVerificationSent] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get('/api/users/me')
+      .then((res) => {
+        setProfile(res.data);
+        setDetails({ name: res.data.name, email: res.data.email });
+      })
+      .catch((err) => console.error('Fetch profile error:', err.response?.data?.msg || err.message));
+  }, []);
+
+  const handleDetailsSubmit = async (e) => {
+    e.preventDefault();
+    setDetailsStatus({ error: '', success: '' });
+    try {
+      const res = await axios.put('/api/users/me', details);
+      setProfile(res.data);
+      setDetailsStatus({ error: '', success: 'Profile updated' });
+    } catch (error) {
+      setDetailsStatus({ error: error.response?.data?.msg || 'Failed to update profile', success: '' });
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      await axios.post('/api/users/verify/resend', { email: profile.email });
+      setVerificationSent(true);
+    } catch (error) {
+      console.error('Resend verification error:', error.response?.data?.msg || error.message);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setPasswordStatus({ error: '', success: '' });
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordStatus({ error: 'New passwords do not match', success: '' });
+      return;
+    }
+    try {
+      await axios.put('/api/users/me', {
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordStatus({ error: '', success: 'Password changed. Other devices have been signed out.' });
+    } catch (error) {
+      setPasswordStatus({ error: error.response?.data?.msg || 'Failed to change password', success: '' });
+    }
+  };
+
+  if (!profile) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: { xs: 2, md: 4 }, maxWidth: 600, mx: 'auto' }}>
+      <Typography variant="h4" gutterBottom>
+        My Account
+      </Typography>
+      {can('users:read') && (
+        <Button variant="contained" color="primary" onClick={() => navigate('/admin')} sx={{ mb: 3, mr: 2 }}>
+          User Management
+        </Button>
+      )}
+      {!impersonating && (
+        <Button variant="outlined" color="secondary" onClick={logout} sx={{ mb: 3 }}>
+          Logout
+        </Button>
+      )}
+
+      <Paper sx={{ p: 3, mb: 3, boxShadow: 2 }}>
+        <Typography variant="h6" gutterBottom>
+          Profile
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+          <Chip label={profile.role} size="small" />
+          <Chip
+            label={profile.isActive ? 'Active' : 'Inactive'}
+            color={profile.isActive ? 'success' : 'default'}
+            size="small"
+          />
+        </Box>
+        {!profile.emailVerified && (
+          <Alert
+            severity="warning"
+            sx={{ my: 2 }}
+            action={
+              !verificationSent && (
+                <Button color="inherit" size="small" onClick={handleResendVerification}>
+                  Resend link
+                </Button>
+              )
+            }
+          >
+            {verificationSent
+              ? 'A new verification link is on its way.'
+              : 'Your email address is not verified yet. Check your inbox for the verification link.'}
+          </Alert>
+        )}
+        {detailsStatus.error && <Alert severity="error" sx={{ my: 2 }}>{detailsStatus.error}</Alert>}
+        {detailsStatus.success && <Alert severity="success" sx={{ my: 2 }}>{detailsStatus.success}</Alert>}
+        <form onSubmit={handleDetailsSubmit}>
+          <TextField
+            label="Name"
+            value={details.name}
+            onChange={(e) => setDetails({ ...details, name: e.target.value })}
+            fullWidth
+            margin="normal"
+            required
+            variant="outlined"
+          />
+          <TextField
+            label="Email"
+            type="email"
+            value={details.email}
+            onChange={(e) => setDetails({ ...details, email: e.target.value })}
+            fullWidth
+            margin="normal"
+            required
+            variant="outlined"
+            disabled={impersonating}
+            helperText={impersonating ? "Can't be changed while signed in as this user" : undefined}
+          />
+          <Button type="submit" variant="contained" color="primary" sx={{ mt: 2 }}>
+            Save Profile
+          </Button>
+        </form>
+      </Paper>
+
+      {!impersonating && <TwoFactorSettings profile={profile} onChange={setProfile} />}
+
+      {!impersonating && <ApiKeys />}
+
+      {!impersonating && (
+        <Paper sx={{ p: 3, boxShadow: 2 }}>
+          <Typography variant="h6" gutterBottom>
+            Change Password
+          </Typography>
+          {passwordStatus.error && <Alert severity="error" sx={{ my: 2 }}>{passwordStatus.error}</Alert>}
+          {passwordStatus.success && <Alert severity="success" sx={{ my: 2 }}>{passwordStatus.success}</Alert>}
+          <form onSubmit={handlePasswordSubmit}>
+            <TextField
+              label="Current Password"
+              type="password"
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+              fullWidth
+              margin="normal"
+              required
+              variant="outlined"
+            />
+            <TextField
+              label="New Password"
+              type="password"
+              value={passwords.newPassword}
+              onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              fullWidth
+              margin="normal"
+              required
+              variant="outlined"
+            />
+            <TextField
+              label="Confirm New Password"
+              type="password"
+              value={passwords.confirmPassword}
+              onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+              fullWidth
+              margin="normal"
+              required
+              variant="outlined"
+            />
+            <Button type="submit" variant="contained" color="primary" sx={{ mt: 2 }}>
+              Change Password
+            </Button>
+          </form>
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default Account;
@@ -0,0 +1,192 @@
+// client/src/components/Account/ApiKeys.js
+import { useState, useEffect, useCallback, useContext } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+} from '@mui/material';
+import { Delete, ContentCopy } from '@mui/icons-material';
+import axios from '../../axios';
+import { AuthContext } from '../../context/AuthContext';
+
+const EXPIRY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'Never' },
+];
+
+const expiryDate = (days) => (days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null);
+
+const describeKey = (apiKey) =>
+  [
+    apiKey.scopes.length ? apiKey.scopes.join(', ') : 'no permissions',
+    apiKey.expiresAt
+      ? `${new Date(apiKey.expiresAt) < new Date() ? 'expired' : 'expires'} ${new Date(apiKey.expiresAt).toLocaleDateString()}`
+      : 'never expires',
+    apiKey.lastUsedAt
+      ? `last used ${new Date(apiKey.lastUsedAt).toLocaleString()}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}`
+      : 'never used',
+  ].join(' · ');
+
+// Personal API keys for scripts: sent as the X-API-Key header instead of a login token
+function ApiKeys() {
+  const { user } = useContext(AuthContext);
+  const [keys, setKeys] = useState([]);
+  const [form, setForm] = useState({ name: '', days: 90, scopes: user.permissions });
+  const [created, setCreated] = useState(null); // { key, apiKey }; the raw key is shown only once
+  const [status, setStatus] = useState({ error: '', success: '' });
+
+  const fail = (error, fallback) => setStatus({ error: error.response?.data?.msg || fallback, success: '' });
+
+  const fetchKeys = useCallback(
+    () =>
+      axios
+        .get('/api/users/me/api-keys')
+        .then((res) => setKeys(res.data))
+        .catch((error) => setStatus({ error: error.response?.data?.msg || 'Failed to load API keys', success: '' })),
+    []
+  );
+
+  useEffect(() => {
+    fetchKeys();
+  }, [fetchKeys]);
+
+  const toggleScope = (permission) =>
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(permission)
+        ? form.scopes.filter((scope) => scope !== permission)
+        : [...form.scopes, permission],
+    });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setStatus({ error: '', success: '' });
+    try {
+      const res = await axios.post('/api/users/me/api-keys', {
+        name: form.name,
+        scopes: form.scopes,
+        expiresAt: expiryDate(form.days),
+      });
+      setCreated(res.data);
+      setForm({ ...form, name: '' });
+      fetchKeys();
+    } catch (error) {
+      fail(error, 'Failed to create API key');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return;
+    setStatus({ error: '', success: '' });
+    try {
+      await axios.delete(`/api/users/me/api-keys/${apiKey._id}`);
+      if (created?.apiKey._id === apiKey._id) setCreated(null);
+      setStatus({ error: '', success: `Revoked "${apiKey.name}".` });
+      fetchKeys();
+    } catch (error) {
+      fail(error, 'Failed to revoke API key');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3, boxShadow: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        API Keys
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        For scripts and services: send a key in the <code>X-API-Key</code> header. A key can do what its permissions
+        allow, and never more than your role.
+      </Typography>
+      {status.error && <Alert severity="error" sx={{ my: 2 }}>{status.error}</Alert>}
+      {status.success && <Alert severity="success" sx={{ my: 2 }}>{status.success}</Alert>}
+      {created && (
+        <Alert
+          severity="info"
+          sx={{ my: 2, wordBreak: 'break-all' }}
+          onClose={() => setCreated(null)}
+          action={
+            <IconButton color="inherit" size="small" title="Copy" onClick={() => navigator.clipboard?.writeText(created.key)}>
+              <ContentCopy fontSize="small" />
+            </IconButton>
+          }
+        >
+          Copy "{created.apiKey.name}" now, it won't be shown again:
+          <Box component="code" sx={{ display: 'block', mt: 1 }}>
+            {created.key}
+          </Box>
+        </Alert>
+      )}
+      {keys.length > 0 && (
+        <List dense>
+          {keys.map((apiKey) => (
+            <ListItem
+              key={apiKey._id}
+              disableGutters
+              secondaryAction={
+                <IconButton edge="end" title="Revoke" onClick={() => handleRevoke(apiKey)}>
+                  <Delete />
+                </IconButton>
+              }
+            >
+              <ListItemText primary={`${apiKey.name} (${apiKey.prefix}…)`} secondary={describeKey(apiKey)} />
+            </ListItem>
+          ))}
+        </List>
+      )}
+      <form onSubmit={handleCreate}>
+        <TextField
+          label="Key name"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          fullWidth
+          margin="normal"
+          required
+          variant="outlined"
+          placeholder="e.g. nightly export script"
+        />
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Expires after</InputLabel>
+          <Select label="Expires after" value={form.days} onChange={(e) => setForm({ ...form, days: e.target.value })}>
+            {EXPIRY_OPTIONS.map(({ days, label }) => (
+              <MenuItem key={days} value={days}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {user.permissions.length > 0 && (
+          <FormGroup sx={{ mt: 1 }}>
+            {user.permissions.map((permission) => (
+              <FormControlLabel
+                key={permission}
+                control={<Checkbox checked={form.scopes.includes(permission)} onChange={() => toggleScope(permission)} />}
+                label={permission}
+              />
+            ))}
+          </FormGroup>
+        )}
+        <Button type="submit" variant="contained" color="primary" sx={{ mt: 2 }}>
+          Create Key
+        </Button>
+      </form>
+    </Paper>
+  );
+}
+
+export default ApiKeys;
@@ -0,0 +1,155 @@
+// client/src/components/Account/TwoFactorSettings.js
+import { useState, useContext } from 'react';
+import { Box, Paper, Typography, TextField, Button, Alert, Chip } from '@mui/material';
+import axios from '../../axios';
+import { AuthContext } from '../../context/AuthContext';
+
+function TwoFactorSettings({ profile, onChange }) {
+  const { updateUser } = useContext(AuthContext);
+  const [setup, setSetup] = useState(null); // { secret, qrCode } while enrolling
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]); // shown once, right after they're issued
+  const [status, setStatus] = useState({ error: '', success: '' });
+
+  const fail = (error, fallback) => setStatus({ error: error.response?.data?.msg || fallback, success: '' });
+
+  const startSetup = async () => {
+    setStatus({ error: '', success: '' });
+    try {
+      const res = await axios.post('/api/users/me/2fa/setup');
+      setSetup(res.data);
+    } catch (error) {
+      fail(error, 'Could not start two-factor setup');
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setStatus({ error: '', success: '' });
+    try {
+      const res = await axios.post('/api/users/me/2fa/enable', { code });
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(res.data.recoveryCodes);
+      onChange(res.data.user);
+      updateUser(res.data.user);
+      setStatus({ error: '', success: 'Two-factor authentication is on.' });
+    } catch (error) {
+      fail(error, 'Invalid authentication code');
+    }
+  };
+
+  const handleDisable = async () => {
+    setStatus({ error: '', success: '' });
+    try {
+      const res = await axios.post('/api/users/me/2fa/disable', { password });
+      setPassword('');
+      setRecoveryCodes([]);
+      onChange(res.data);
+      updateUser(res.data);
+      setStatus({ error: '', success: 'Two-factor authentication is off.' });
+    } catch (error) {
+      fail(error, 'Could not turn off two-factor authentication');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    setStatus({ error: '', success: '' });
+    try {
+      const res = await axios.post('/api/users/me/2fa/recovery-codes', { password });
+      setPassword('');
+      setRecoveryCodes(res.data.recoveryCodes);
+      setStatus({ error: '', success: 'New recovery codes issued. The old ones no longer work.' });
+    } catch (error) {
+      fail(error, 'Could not issue new recovery codes');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3, boxShadow: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Two-Factor Authentication{' '}
+        <Chip
+          label={profile.twoFactorEnabled ? 'On' : 'Off'}
+          color={profile.twoFactorEnabled ? 'success' : 'default'}
+          size="small"
+        />
+      </Typography>
+      {profile.twoFactorSetupRequired && (
+        <Alert severity="warning" sx={{ my: 2 }}>
+          Your role requires two-factor authentication. Set it up to use admin features.
+        </Alert>
+      )}
+      {status.error && <Alert severity="error" sx={{ my: 2 }}>{status.error}</Alert>}
+      {status.success && <Alert severity="success" sx={{ my: 2 }}>{status.success}</Alert>}
+
+      {recoveryCodes.length > 0 && (
+        <Alert severity="info" sx={{ my: 2 }}>
+          Save these recovery codes somewhere safe. Each one signs you in once if you lose your device, and
+          they won't be shown again.
+          <Box component="pre" sx={{ mt: 1, mb: 0, fontFamily: 'monospace' }}>
+            {recoveryCodes.join('\n')}
+          </Box>
+        </Alert>
+      )}
+
+      {!profile.twoFactorEnabled && !setup && (
+        <Button variant="contained" color="primary" onClick={startSetup} sx={{ mt: 1 }}>
+          Set Up Authenticator App
+        </Button>
+      )}
+
+      {!profile.twoFactorEnabled && setup && (
+        <form onSubmit={handleEnable}>
+          <Typography variant="body2">
+            Scan this QR code with your authenticator app, or enter the key manually, then type the code it shows.
+          </Typography>
+          <Box component="img" src={setup.qrCode} alt="Authenticator QR code" sx={{ display: 'block', my: 2, width: 180 }} />
+          <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+            {setup.secret}
+          </Typography>
+          <TextField
+            label="Authentication code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            fullWidth
+            margin="normal"
+            required
+            autoComplete="one-time-code"
+            variant="outlined"
+          />
+          <Button type="submit" variant="contained" color="primary" sx={{ mt: 2, mr: 2 }}>
+            Turn On
+          </Button>
+          <Button variant="outlined" onClick={() => setSetup(null)} sx={{ mt: 2 }}>
+            Cancel
+          </Button>
+        </form>
+      )}
+
+      {profile.twoFactorEnabled && (
+        <>
+          <TextField
+            label="Current Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            fullWidth
+            margin="normal"
+            helperText="Needed to turn two-factor authentication off or to get new recovery codes"
+            variant="outlined"
+          />
+          <Button variant="outlined" onClick={handleRegenerate} disabled={!password} sx={{ mt: 2, mr: 2 }}>
+            New Recovery Codes
+          </Button>
+          <Button variant="outlined" color="error" onClick={handleDisable} disabled={!password} sx={{ mt: 2 }}>
+            Turn Off
+          </Button>
+        </>
+      )}
+    </Paper>
+  );
+}
+
+export default TwoFactorSettings;
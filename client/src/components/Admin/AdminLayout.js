@@ -0,0 +1,63 @@
+// client/src/components/Admin/AdminLayout.js
+import { useContext } from 'react';
+import { Outlet, useNavigate, useLocation } from 'react-router-dom';
+import { Box, Typography, Button, Tabs, Tab, Alert } from '@mui/material';
+import { AuthContext } from '../../context/AuthContext';
+
+function AdminLayout() {
+  const { user, logout, can } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Only show sections the signed-in user can use
+  const tabs = [
+    { label: 'Dashboard', path: '/admin/dashboard', show: true },
+    { label: 'Users', path: '/admin', show: true },
+    { label: 'Roles', path: '/admin/roles', show: can('roles:manage') },
+    { label: 'Activity', path: '/admin/activity', show: can('audit:read') },
+  ].filter((tab) => tab.show);
+  const currentTab = tabs.some((tab) => tab.path === location.pathname) ? location.pathname : false;
+
+  return (
+    <Box sx={{ p: { xs: 2, md: 4 }, maxWidth: 1200, mx: 'auto' }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+        <Typography variant="h4" gutterBottom>
+          User Management
+        </Typography>
+        <Box>
+          <Button variant="outlined" onClick={() => navigate('/account')} sx={{ mr: 2 }}>
+            My Account
+          </Button>
+          <Button variant="outlined" color="secondary" onClick={logout}>
+            Logout
+          </Button>
+        </Box>
+      </Box>
+      <Tabs
+        value={currentTab}
+        onChange={(e, path) => navigate(path)}
+        sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}
+      >
+        {tabs.map((tab) => (
+          <Tab key={tab.path} label={tab.label} value={tab.path} />
+        ))}
+      </Tabs>
+      {user.twoFactorSetupRequired ? (
+        <Alert
+          severity="warning"
+          action={
+            <Button color="inherit" size="small" onClick={() => navigate('/account')}>
+              Set up
+            </Button>
+          }
+        >
+          Two-factor authentication is required for admin access. Set it up from your account page.
+        </Alert>
+      ) : (
+        <Outlet />
+      )}
+    </Box>
+  );
+}
+
+export default AdminLayout;
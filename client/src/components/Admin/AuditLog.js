@@ -0,0 +1,195 @@
+// client/src/components/Admin/AuditLog.js
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Select,
+  MenuItem,
+  Pagination,
+  Box,
+  CircularProgress,
+} from '@mui/material';
+import axios from '../../axios';
+
+export const ACTION_LABELS = {
+  'user.create': 'Created user',
+  'user.register': 'Signed up',
+  'user.update': 'Updated user',
+  'user.delete': 'Deleted user',
+  'user.restore': 'Restored user',
+  'user.unlock': 'Unlocked user',
+  'user.export': 'Exported users',
+  'user.2fa_enable': 'Enabled 2FA',
+  'user.2fa_disable': 'Disabled 2FA',
+  'user.2fa_reset': 'Reset 2FA',
+  'user.2fa_recovery_codes': 'New 2FA recovery codes',
+  'user.purge': 'Purged user',
+  'user.login': 'Logged in',
+  'user.login_failed': 'Failed login',
+  'user.session_revoke': 'Revoked session',
+  'user.sign_out_everywhere': 'Signed out everywhere',
+  'user.scheduled_status': 'Scheduled status change',
+  'user.impersonate': 'Signed in as user',
+  'user.impersonate_stop': 'Stopped impersonating',
+  'user.sso_link': 'Linked single sign-on',
+  'user.role_change': 'Role changed by SSO',
+  'user.api_key_create': 'Created API key',
+  'user.api_key_revoke': 'Revoked API key',
+  'user.password_reset': 'Reset password',
+  'role.create': 'Created role',
+  'role.update': 'Updated role',
+  'role.delete': 'Deleted role',
+  'invite.create': 'Sent invite',
+  'invite.revoke': 'Revoked invite',
+};
+
+const formatValue = (value) => (value === undefined || value === null ? '—' : JSON.stringify(value));
+
+// One line per changed field, e.g. "role: "user" → "admin""
+export const describeChanges = (event) => {
+  const lines = (event.changes || []).map(
+    (change) => `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`
+  );
+  if (event.metadata?.passwordChanged) lines.push('password changed');
+  if (event.metadata?.reason) lines.push(`reason: ${event.metadata.reason}`);
+  if (event.metadata?.impersonating) lines.push(`while signed in as ${event.metadata.impersonating}`);
+  return lines;
+};
+
+function AuditLog() {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [search, setSearch] = useState('');
+  const [action, setAction] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const fetchEvents = useCallback(async (page = 1) => {
+    setLoading(true);
+    try {
+      const params = {
+        page,
+        limit: 20,
+        search: search || undefined,
+        action: action || undefined,
+        from: from || undefined,
+        to: to ? `${to}T23:59:59.999` : undefined, // include the whole end day
+      };
+      const res = await axios.get('/api/audit', { params });
+      setEvents(res.data.events);
+      setPagination(res.data.pagination);
+    } catch (error) {
+      console.error('Fetch audit log error:', error.response?.data?.msg || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [search, action, from, to]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+        <TextField
+          label="Search by actor or target"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ flex: '1 1 260px' }}
+          variant="outlined"
+        />
+        <Select
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          displayEmpty
+          sx={{ minWidth: 180 }}
+          variant="outlined"
+        >
+          <MenuItem value="">All Actions</MenuItem>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </Select>
+        <TextField
+          label="From"
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          variant="outlined"
+        />
+        <TextField
+          label="To"
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          variant="outlined"
+        />
+      </Box>
+      <TableContainer component={Paper} sx={{ boxShadow: 2 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>When</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Actor</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Action</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Target</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Changes</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>IP</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <CircularProgress />
+                </TableCell>
+              </TableRow>
+            ) : events.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  No activity found
+                </TableCell>
+              </TableRow>
+            ) : (
+              events.map((event) => (
+                <TableRow key={event._id} sx={{ '&:hover': { bgcolor: '#f5f5f5' } }}>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{new Date(event.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>{event.actorEmail || 'anonymous'}</TableCell>
+                  <TableCell>{ACTION_LABELS[event.action] || event.action}</TableCell>
+                  <TableCell>{event.targetLabel}</TableCell>
+                  <TableCell>
+                    {describeChanges(event).map((line) => (
+                      <div key={line}>{line}</div>
+                    ))}
+                  </TableCell>
+                  <TableCell title={event.userAgent}>{event.ip}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <Pagination
+        count={pagination.pages}
+        page={pagination.current}
+        onChange={(event, value) => fetchEvents(value)}
+        sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}
+        color="primary"
+      />
+    </Box>
+  );
+}
+
+export default AuditLog;
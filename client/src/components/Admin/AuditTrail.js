@@ -0,0 +1,51 @@
+// client/src/components/Admin/AuditTrail.js
+import { useState, useEffect } from 'react';
+import { List, ListItem, ListItemText, Typography, CircularProgress, Box } from '@mui/material';
+import axios from '../../axios';
+import { ACTION_LABELS, describeChanges } from './AuditLog';
+
+// Recent audit events about a single user, shown inside UserModal
+function AuditTrail({ userId }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    axios
+      .get('/api/audit', { params: { target: userId, limit: 10 } })
+      .then((res) => setEvents(res.data.events))
+      .catch((err) => console.error('Fetch user history error:', err.response?.data?.msg || err.message))
+      .finally(() => setLoading(false));
+  }, [userId]);
+
+  if (loading) {
+    return (
+      <Box sx={{ textAlign: 'center', my: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (events.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ my: 1 }}>
+        No recorded activity
+      </Typography>
+    );
+  }
+
+  return (
+    <List dense disablePadding>
+      {events.map((event) => (
+        <ListItem key={event._id} disableGutters>
+          <ListItemText
+            primary={`${ACTION_LABELS[event.action] || event.action} by ${event.actorEmail || 'anonymous'}`}
+            secondary={[new Date(event.createdAt).toLocaleString(), ...describeChanges(event)].join(' · ')}
+          />
+        </ListItem>
+      ))}
+    </List>
+  );
+}
+
+export default AuditTrail;
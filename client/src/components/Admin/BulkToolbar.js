@@ -0,0 +1,98 @@
+// client/src/components/Admin/BulkToolbar.js
+import { useState, useContext } from 'react';
+import { Box, Button, Select, MenuItem, Typography, Alert, Paper } from '@mui/material';
+import axios from '../../axios';
+import { AuthContext } from '../../context/AuthContext';
+
+const CONFIRM = {
+  activate: (count) => `Activate ${count} user(s)?`,
+  deactivate: (count) => `Deactivate ${count} user(s)?`,
+  role: (count, role) => `Change the role of ${count} user(s) to "${role}"?`,
+  delete: (count) => `Move ${count} user(s) to the trash? They can be restored until the trash is purged.`,
+};
+
+// Acts on the selected users: { ids } for picked rows or { filter } for everyone matching the table's filters
+function BulkToolbar({ count, selection, roles = [], onDone }) {
+  const { can } = useContext(AuthContext);
+  const [role, setRole] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const run = async (action) => {
+    if (!window.confirm(CONFIRM[action](count, role))) return;
+    setBusy(true);
+    try {
+      const res = await axios.post('/api/users/bulk', { action, ...selection, ...(action === 'role' && { role }) });
+      setReport(res.data);
+      onDone();
+    } catch (error) {
+      setReport({ error: error.response?.data?.msg || 'Bulk action failed' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const failures = report?.results?.filter((result) => !result.ok) || [];
+
+  return (
+    <>
+      {report && (
+        <Alert
+          severity={report.error ? 'error' : report.failed ? 'warning' : 'success'}
+          onClose={() => setReport(null)}
+          sx={{ mb: 2 }}
+        >
+          {report.error || `${report.succeeded} user(s) updated, ${report.failed} failed.`}
+          {failures.length > 0 && (
+            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+              {failures.map((failure) => (
+                <li key={failure.id}>
+                  {failure.email || failure.id}: {failure.msg}
+                </li>
+              ))}
+            </Box>
+          )}
+        </Alert>
+      )}
+      {count > 0 && (
+        <Paper sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, p: 1.5, mb: 2, bgcolor: '#e3f2fd' }}>
+          <Typography sx={{ mr: 1 }}>{count} selected</Typography>
+          {can('users:write') && (
+            <>
+              <Button size="small" variant="outlined" disabled={busy} onClick={() => run('activate')}>
+                Activate
+              </Button>
+              <Button size="small" variant="outlined" disabled={busy} onClick={() => run('deactivate')}>
+                Deactivate
+              </Button>
+              <Select
+                size="small"
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                displayEmpty
+                sx={{ minWidth: 140, bgcolor: 'white' }}
+              >
+                <MenuItem value="">Change role…</MenuItem>
+                {roles.map((r) => (
+                  <MenuItem key={r._id} value={r.name}>
+                    {r.name}
+                  </MenuItem>
+                ))}
+              </Select>
+              <Button size="small" variant="outlined" disabled={busy || !role} onClick={() => run('role')}>
+                Apply
+              </Button>
+            </>
+          )}
+          {can('users:delete') && (
+            <Button size="small" variant="outlined" color="error" disabled={busy} onClick={() => run('delete')}>
+              Delete
+            </Button>
+          )}
+        </Paper>
+      )}
+    </>
+  );
+}
+
+export default BulkToolbar;
@@ -0,0 +1,92 @@
+// client/src/components/Admin/ConflictDialog.js
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Radio,
+} from '@mui/material';
+
+const display = (field, value) => (field.format ? field.format(value) : value || '—');
+
+// Shown when a save hit someone else's newer edit. base is the user as it was when
+// editing started, mine the form, theirs the server's current copy. For every field
+// that differs the admin picks a side; onApply gets the merged values to save again.
+function ConflictDialog({ open, fields, base, mine, theirs, onApply, onDiscard, onCancel }) {
+  const differing = theirs ? fields.filter(({ key }) => mine[key] !== theirs[key]) : [];
+  const [choices, setChoices] = useState({});
+
+  // Keep what this admin changed, take the other edit for everything else
+  useEffect(() => {
+    if (!open || !theirs) return;
+    setChoices(
+      Object.fromEntries(fields.map(({ key }) => [key, mine[key] !== base[key] ? 'mine' : 'theirs']))
+    );
+  }, [open, fields, base, mine, theirs]);
+
+  const merged = () =>
+    Object.fromEntries(fields.map(({ key }) => [key, choices[key] === 'mine' ? mine[key] : theirs[key]]));
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle>This user was changed while you were editing</DialogTitle>
+      <DialogContent>
+        {differing.length === 0 ? (
+          <Typography variant="body2">
+            The other changes don't touch the fields you edited. Save again to apply yours on top.
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Choose which value to keep for each field that differs.
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell>Yours</TableCell>
+                  <TableCell>Current</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {differing.map((field) => (
+                  <TableRow key={field.key}>
+                    <TableCell>{field.label}</TableCell>
+                    {['mine', 'theirs'].map((side) => (
+                      <TableCell key={side}>
+                        <Radio
+                          size="small"
+                          checked={choices[field.key] === side}
+                          onChange={() => setChoices({ ...choices, [field.key]: side })}
+                          inputProps={{ 'aria-label': `${field.label}: ${side === 'mine' ? 'yours' : 'current'}` }}
+                        />
+                        {display(field, side === 'mine' ? mine[field.key] : theirs[field.key])}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button onClick={onDiscard}>Discard mine</Button>
+        <Button variant="contained" onClick={() => onApply(merged())}>
+          {differing.length === 0 ? 'Save again' : 'Save merged'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ConflictDialog;
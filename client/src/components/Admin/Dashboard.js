@@ -0,0 +1,187 @@
+// client/src/components/Admin/Dashboard.js
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Box, Paper, Typography, TextField, ToggleButton, ToggleButtonGroup, Alert, CircularProgress } from '@mui/material';
+import { LineChart } from '@mui/x-charts/LineChart';
+import { BarChart } from '@mui/x-charts/BarChart';
+import { PieChart } from '@mui/x-charts/PieChart';
+import axios from '../../axios';
+
+const PRESETS = [7, 30, 90, 365];
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// "YYYY-MM-DD" for a local date
+const dayString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return dayString(date);
+};
+
+// Picked days -> the instants the API wants: local midnight to the end of the last day
+const rangeParams = ({ from, to, interval }) => ({
+  from: new Date(`${from}T00:00:00`).toISOString(),
+  to: new Date(`${to}T23:59:59.999`).toISOString(),
+  interval,
+  tz: TIME_ZONE,
+});
+
+function StatCard({ label, value, hint, onClick }) {
+  return (
+    <Paper
+      onClick={onClick}
+      sx={{ p: 2, boxShadow: 2, cursor: onClick ? 'pointer' : 'default', '&:hover': onClick && { bgcolor: '#f5f5f5' } }}
+    >
+      <Typography variant="body2" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="h4">{value ?? '—'}</Typography>
+      {hint && (
+        <Typography variant="caption" color="text.secondary">
+          {hint}
+        </Typography>
+      )}
+    </Paper>
+  );
+}
+
+function ChartCard({ title, children }) {
+  return (
+    <Paper sx={{ p: 2, boxShadow: 2 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        {title}
+      </Typography>
+      {children}
+    </Paper>
+  );
+}
+
+// Landing page of the admin area: directory KPIs and signup/login trends for a date range
+function Dashboard() {
+  const navigate = useNavigate();
+  const [range, setRange] = useState({ from: daysAgo(29), to: daysAgo(0), interval: 'day' });
+  const [summary, setSummary] = useState(null);
+  const [signups, setSignups] = useState([]);
+  const [logins, setLogins] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchStats = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = rangeParams(range);
+      const [summaryRes, signupsRes, loginsRes] = await Promise.all([
+        axios.get('/api/stats/summary', { params }),
+        axios.get('/api/stats/signups', { params }),
+        axios.get('/api/stats/logins', { params }),
+      ]);
+      setSummary(summaryRes.data);
+      setSignups(signupsRes.data.series);
+      setLogins(loginsRes.data.series);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Failed to load statistics');
+    } finally {
+      setLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  const changeRange = (changes) => setRange({ ...range, ...changes });
+  // Open the user table with a filter expression applied
+  const showUsers = (q) => navigate(`/admin?q=${encodeURIComponent(q)}`);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2, mb: 3 }}>
+        <TextField
+          label="From"
+          type="date"
+          size="small"
+          value={range.from}
+          onChange={(e) => e.target.value && changeRange({ from: e.target.value })}
+          slotProps={{ inputLabel: { shrink: true } }}
+        />
+        <TextField
+          label="To"
+          type="date"
+          size="small"
+          value={range.to}
+          onChange={(e) => e.target.value && changeRange({ to: e.target.value })}
+          slotProps={{ inputLabel: { shrink: true } }}
+        />
+        <ToggleButtonGroup size="small" exclusive value={null}>
+          {PRESETS.map((days) => (
+            <ToggleButton key={days} value={days} onClick={() => changeRange({ from: daysAgo(days - 1), to: daysAgo(0) })}>
+              {days}d
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={range.interval}
+          onChange={(e, interval) => interval && changeRange({ interval })}
+        >
+          <ToggleButton value="day">Daily</ToggleButton>
+          <ToggleButton value="week">Weekly</ToggleButton>
+        </ToggleButtonGroup>
+        {loading && <CircularProgress size={24} />}
+      </Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(170px, 1fr))', gap: 2, mb: 3 }}>
+        <StatCard label="Total users" value={summary?.total} onClick={() => navigate('/admin')} />
+        <StatCard label="Active" value={summary?.active} onClick={() => showUsers('active:true')} />
+        <StatCard label="Inactive" value={summary?.inactive} onClick={() => showUsers('active:false')} />
+        <StatCard label="Never logged in" value={summary?.neverLoggedIn} onClick={() => showUsers('lastLogin:never')} />
+        <StatCard label="Signups" value={summary?.range.signups} hint="in this range" />
+        <StatCard
+          label="Logins"
+          value={summary?.range.logins}
+          hint={summary && `${summary.range.activeUsers} distinct users`}
+        />
+      </Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '2fr 1fr' }, gap: 2 }}>
+        <ChartCard title={range.interval === 'week' ? 'Signups per week' : 'Signups per day'}>
+          <LineChart
+            height={260}
+            xAxis={[{ scaleType: 'point', data: signups.map((point) => point.period) }]}
+            series={[{ data: signups.map((point) => point.count), label: 'Signups', area: true }]}
+          />
+        </ChartCard>
+        <ChartCard title="Users by role">
+          <PieChart
+            height={260}
+            series={[
+              {
+                data: (summary?.roles || []).map(({ role, count }, index) => ({ id: index, value: count, label: role })),
+                innerRadius: 40,
+              },
+            ]}
+          />
+        </ChartCard>
+        <ChartCard title={range.interval === 'week' ? 'Logins per week' : 'Logins per day'}>
+          <BarChart
+            height={260}
+            xAxis={[{ scaleType: 'band', data: logins.map((point) => point.period) }]}
+            series={[
+              { data: logins.map((point) => point.logins), label: 'Logins' },
+              { data: logins.map((point) => point.users), label: 'Distinct users' },
+            ]}
+          />
+        </ChartCard>
+      </Box>
+    </Box>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,107 @@
+// client/src/components/Admin/ExportMenu.js
+import { useState } from 'react';
+import { Button, Popover, Box, Typography, FormGroup, FormControlLabel, Checkbox, Alert } from '@mui/material';
+import axios from '../../axios';
+
+const COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'role', label: 'Role' },
+  { key: 'isActive', label: 'Active' },
+  { key: 'emailVerified', label: 'Email verified' },
+  { key: 'twoFactorEnabled', label: '2FA enabled' },
+  { key: 'createdAt', label: 'Created at' },
+  { key: 'updatedAt', label: 'Updated at' },
+  { key: 'lastLoginAt', label: 'Last login' },
+];
+const DEFAULT_COLUMNS = ['name', 'email', 'role', 'isActive', 'emailVerified', 'createdAt'];
+const FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'ndjson', label: 'NDJSON' },
+];
+
+// Downloads everything matching the table's current filters and sort
+function ExportMenu({ filters, sort }) {
+  const [anchor, setAnchor] = useState(null);
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Keep the chosen columns in their canonical order
+  const toggleColumn = (key) => {
+    const next = columns.includes(key) ? columns.filter((c) => c !== key) : [...columns, key];
+    setColumns(COLUMNS.map((c) => c.key).filter((c) => next.includes(c)));
+  };
+
+  const download = async (format) => {
+    setBusy(true);
+    setError('');
+    try {
+      // Fetched as a blob because the request needs the Authorization header
+      const res = await axios.get('/api/users/export', {
+        params: { ...filters, sort, format, columns: columns.join(',') },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setAnchor(null);
+    } catch (error) {
+      setError('Export failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Button variant="outlined" color="primary" onClick={(e) => setAnchor(e.currentTarget)} sx={{ mb: 3, mr: 2 }}>
+        Export
+      </Button>
+      <Popover
+        open={!!anchor}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ p: 2, width: 260 }}>
+          <Typography variant="subtitle2">Columns</Typography>
+          <FormGroup>
+            {COLUMNS.map(({ key, label }) => (
+              <FormControlLabel
+                key={key}
+                label={label}
+                control={<Checkbox size="small" checked={columns.includes(key)} onChange={() => toggleColumn(key)} />}
+              />
+            ))}
+          </FormGroup>
+          {error && (
+            <Alert severity="error" sx={{ my: 1 }}>
+              {error}
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            {FORMATS.map(({ format, label }) => (
+              <Button
+                key={format}
+                variant="contained"
+                size="small"
+                disabled={busy || columns.length === 0}
+                onClick={() => download(format)}
+              >
+                {label}
+              </Button>
+            ))}
+          </Box>
+        </Box>
+      </Popover>
+    </>
+  );
+}
+
+export default ExportMenu;
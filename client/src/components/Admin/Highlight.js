@@ -0,0 +1,28 @@
+// client/src/components/Admin/Highlight.js
+import { Box } from '@mui/material';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Marks where the search matched, the way the server matches: at the start of
+// the text ('prefix', emails) or at the start of any word ('word', names)
+function Highlight({ text = '', term, mode = 'word' }) {
+  const trimmed = term?.trim();
+  if (!trimmed) return text;
+
+  const pattern = new RegExp(`${mode === 'prefix' ? '^' : '(?:^|(?<=\\s))'}${escapeRegex(trimmed)}`, 'gi');
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    parts.push(text.slice(last, match.index));
+    parts.push(
+      <Box component="mark" key={match.index} sx={{ bgcolor: '#fff59d', px: 0 }}>
+        {match[0]}
+      </Box>
+    );
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts;
+}
+
+export default Highlight;
@@ -0,0 +1,274 @@
+// client/src/components/Admin/ImportModal.js
+import { useState, useEffect } from 'react';
+import {
+  Modal,
+  Box,
+  Typography,
+  Button,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  Alert,
+  Stepper,
+  Step,
+  StepLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+} from '@mui/material';
+import axios from '../../axios';
+
+const STEPS = ['Upload', 'Map columns & preview', 'Done'];
+const FIELDS = [
+  { field: 'email', label: 'Email', required: true },
+  { field: 'name', label: 'Name' },
+  { field: 'role', label: 'Role' },
+  { field: 'password', label: 'Password' },
+];
+const STATUS_COLORS = { valid: 'success', created: 'success', invited: 'success', invalid: 'error', failed: 'error' };
+
+function ImportModal({ open, onClose, roles = [], onImported }) {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null); // { name, format, data }
+  const [mode, setMode] = useState('password');
+  const [defaultRole, setDefaultRole] = useState('user');
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Start over whenever the modal opens
+  useEffect(() => {
+    if (open) {
+      setStep(0);
+      setFile(null);
+      setMode('password');
+      setDefaultRole('user');
+      setMapping({});
+      setReport(null);
+      setError('');
+    }
+  }, [open]);
+
+  const handleFile = (e) => {
+    const picked = e.target.files[0];
+    if (!picked) return;
+    const reader = new FileReader();
+    reader.onload = () =>
+      setFile({ name: picked.name, format: picked.name.toLowerCase().endsWith('.json') ? 'json' : 'csv', data: reader.result });
+    reader.readAsText(picked);
+  };
+
+  // Every request goes through the same endpoint; only the last one leaves dry-run
+  const send = async ({ dryRun, withMapping }) => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await axios.post('/api/users/import', {
+        format: file.format,
+        data: file.data,
+        mode,
+        defaultRole,
+        dryRun,
+        mapping: withMapping ? mapping : undefined,
+      });
+      setReport(res.data);
+      setMapping(res.data.mapping);
+      return true;
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Import failed');
+      if (error.response?.data?.columns) {
+        setReport({ columns: error.response.data.columns, rows: [] });
+        setMapping(error.response.data.mapping || {});
+        setStep(1);
+      }
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = async () => {
+    if (await send({ dryRun: true, withMapping: false })) setStep(1);
+  };
+
+  const handleImport = async () => {
+    if (await send({ dryRun: false, withMapping: true })) {
+      setStep(2);
+      onImported();
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <Box
+        sx={{
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          width: { xs: '95%', md: 800 },
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          bgcolor: 'white',
+          boxShadow: 24,
+          p: 4,
+          borderRadius: 2,
+        }}
+      >
+        <Typography variant="h6" gutterBottom>
+          Import Users
+        </Typography>
+        <Stepper activeStep={step} sx={{ mb: 3 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {step === 0 && (
+          <>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Upload a CSV file with a header row, or a JSON array of objects. Columns for email, name, role and
+              password are matched automatically and can be changed on the next step.
+            </Typography>
+            <Button variant="outlined" component="label" sx={{ mb: 2 }}>
+              {file ? file.name : 'Choose File'}
+              <input type="file" accept=".csv,.json,text/csv,application/json" hidden onChange={handleFile} />
+            </Button>
+            <RadioGroup value={mode} onChange={(e) => setMode(e.target.value)}>
+              <FormControlLabel value="password" control={<Radio />} label="Create accounts with the passwords in the file" />
+              <FormControlLabel value="invite" control={<Radio />} label="Send invites; people choose their own name and password" />
+            </RadioGroup>
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Role for rows without one</InputLabel>
+              <Select value={defaultRole} label="Role for rows without one" onChange={(e) => setDefaultRole(e.target.value)}>
+                {roles.map((role) => (
+                  <MenuItem key={role._id} value={role.name}>
+                    {role.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button variant="contained" color="primary" onClick={handleUpload} disabled={!file || busy} fullWidth sx={{ mt: 2, py: 1.5 }}>
+              Next
+            </Button>
+          </>
+        )}
+
+        {step === 1 && report && (
+          <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+              {FIELDS.filter(({ field }) => !(mode === 'invite' && (field === 'name' || field === 'password'))).map(
+                ({ field, label, required }) => (
+                  <FormControl key={field} sx={{ minWidth: 160 }} size="small">
+                    <InputLabel>{label}</InputLabel>
+                    <Select
+                      value={mapping[field] || ''}
+                      label={label}
+                      onChange={(e) => setMapping({ ...mapping, [field]: e.target.value || undefined })}
+                    >
+                      {!required && <MenuItem value="">(none)</MenuItem>}
+                      {report.columns.map((column) => (
+                        <MenuItem key={column} value={column}>
+                          {column}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )
+              )}
+              <Button variant="outlined" onClick={() => send({ dryRun: true, withMapping: true })} disabled={busy || !mapping.email}>
+                Refresh Preview
+              </Button>
+            </Box>
+            {report.total !== undefined && (
+              <Alert severity={report.invalid ? 'warning' : 'success'} sx={{ mb: 2 }}>
+                {report.valid} of {report.total} rows are ready to import.
+                {report.invalid > 0 && ` ${report.invalid} row(s) with problems will be skipped.`}
+              </Alert>
+            )}
+            <ImportReport rows={report.rows} />
+            <Button
+              variant="contained"
+              color="primary"
+              onClick={handleImport}
+              disabled={busy || !report.valid}
+              fullWidth
+              sx={{ mt: 2, py: 1.5 }}
+            >
+              {mode === 'invite' ? `Send ${report.valid || 0} Invite(s)` : `Import ${report.valid || 0} User(s)`}
+            </Button>
+          </>
+        )}
+
+        {step === 2 && report && (
+          <>
+            <Alert severity={report.failed ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              {report.mode === 'invite' ? `${report.imported} invite(s) sent.` : `${report.imported} user(s) created.`}
+              {report.invalid + report.failed > 0 && ` ${report.invalid + report.failed} row(s) were not imported.`}
+            </Alert>
+            <ImportReport rows={report.rows} />
+          </>
+        )}
+
+        <Button variant="outlined" onClick={onClose} fullWidth sx={{ mt: 1 }}>
+          Close
+        </Button>
+      </Box>
+    </Modal>
+  );
+}
+
+// Row-by-row outcome, problems first
+function ImportReport({ rows }) {
+  const sorted = [...rows].sort((a, b) => b.errors.length - a.errors.length || a.row - b.row);
+  return (
+    <Box sx={{ maxHeight: 320, overflowY: 'auto' }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell>Row</TableCell>
+            <TableCell>Email</TableCell>
+            <TableCell>Name</TableCell>
+            <TableCell>Role</TableCell>
+            <TableCell>Status</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {sorted.map((row) => (
+            <TableRow key={row.row}>
+              <TableCell>{row.row}</TableCell>
+              <TableCell>{row.email || '—'}</TableCell>
+              <TableCell>{row.name || '—'}</TableCell>
+              <TableCell>{row.role}</TableCell>
+              <TableCell>
+                <Chip label={row.status} color={STATUS_COLORS[row.status]} size="small" />
+                {row.errors.length > 0 && (
+                  <Typography variant="caption" color="error" component="div">
+                    {row.errors.join('; ')}
+                  </Typography>
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+}
+
+export default ImportModal;
@@ -0,0 +1,183 @@
+// client/src/components/Admin/InviteModal.js
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Modal,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Divider,
+} from '@mui/material';
+import { ContentCopy, Delete } from '@mui/icons-material';
+import axios from '../../axios';
+
+const emptyForm = { email: '', role: 'user', expiresInDays: 7 };
+
+function InviteModal({ open, onClose, roles = [] }) {
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [invites, setInvites] = useState([]);
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/invites');
+      setInvites(res.data);
+    } catch (error) {
+      console.error('Fetch invites error:', error.response?.data?.msg || error.message);
+    }
+  }, []);
+
+  // Reset form whenever the modal opens
+  useEffect(() => {
+    if (open) {
+      setFormData(emptyForm);
+      setError('');
+      setInviteUrl('');
+      fetchInvites();
+    }
+  }, [open, fetchInvites]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async () => {
+    setError('');
+    setInviteUrl('');
+    try {
+      const res = await axios.post('/api/invites', formData);
+      setInviteUrl(res.data.url);
+      setFormData(emptyForm);
+      fetchInvites();
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Failed to create invite');
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    try {
+      await axios.delete(`/api/invites/${invite._id}`);
+      fetchInvites();
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Failed to revoke invite');
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <Box
+        sx={{
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          width: { xs: '90%', sm: 480 },
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          bgcolor: 'white',
+          boxShadow: 24,
+          p: 4,
+          borderRadius: 2,
+        }}
+      >
+        <Typography variant="h6" gutterBottom>
+          Invite User
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {inviteUrl && (
+          <Alert
+            severity="success"
+            sx={{ mb: 2, wordBreak: 'break-all' }}
+            action={
+              <IconButton size="small" title="Copy link" onClick={() => navigator.clipboard.writeText(inviteUrl)}>
+                <ContentCopy fontSize="small" />
+              </IconButton>
+            }
+          >
+            Invite sent. This link is only shown once: {inviteUrl}
+          </Alert>
+        )}
+        <TextField
+          label="Email"
+          name="email"
+          type="email"
+          value={formData.email}
+          onChange={handleChange}
+          fullWidth
+          margin="normal"
+          required
+          variant="outlined"
+        />
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Role</InputLabel>
+          <Select name="role" value={formData.role} onChange={handleChange} label="Role">
+            {roles.map((role) => (
+              <MenuItem key={role._id} value={role.name}>
+                {role.name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Expires in (days)"
+          name="expiresInDays"
+          type="number"
+          value={formData.expiresInDays}
+          onChange={handleChange}
+          fullWidth
+          margin="normal"
+          inputProps={{ min: 1, max: 30 }}
+          variant="outlined"
+        />
+        <Button variant="contained" color="primary" onClick={handleSubmit} fullWidth sx={{ mt: 2, py: 1.5 }}>
+          Send Invite
+        </Button>
+
+        {invites.length > 0 && (
+          <>
+            <Divider sx={{ my: 3 }} />
+            <Typography variant="subtitle1" gutterBottom>
+              Pending invites
+            </Typography>
+            <List dense>
+              {invites.map((invite) => (
+                <ListItem
+                  key={invite._id}
+                  secondaryAction={
+                    <IconButton edge="end" title="Revoke" onClick={() => handleRevoke(invite)}>
+                      <Delete />
+                    </IconButton>
+                  }
+                >
+                  <ListItemText
+                    primary={`${invite.email} (${invite.role})`}
+                    secondary={`Expires ${new Date(invite.expiresAt).toLocaleDateString()}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+        <Button variant="outlined" onClick={onClose} fullWidth sx={{ mt: 1 }}>
+          Close
+        </Button>
+      </Box>
+    </Modal>
+  );
+}
+
+export default InviteModal;
@@ -0,0 +1,78 @@
+// client/src/components/Admin/LoginHistory.js
+import { useState, useEffect } from 'react';
+import { List, ListItem, ListItemText, Typography, CircularProgress, Box, Button } from '@mui/material';
+import { CheckCircle, Cancel } from '@mui/icons-material';
+import axios from '../../axios';
+import { describeUserAgent } from './UserSessions';
+
+const PAGE_SIZE = 10;
+
+const REASONS = {
+  'wrong-password': 'wrong password',
+  'invalid-2fa-code': 'wrong 2FA code',
+  'email-not-verified': 'email not verified',
+  locked: 'account locked',
+  inactive: 'account deactivated',
+};
+
+// Recent login attempts of a single user, shown inside UserModal
+function LoginHistory({ userId }) {
+  const [logins, setLogins] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    axios
+      .get(`/api/users/${userId}/logins`, { params: { page, limit: PAGE_SIZE } })
+      .then((res) => {
+        // Later pages extend the list
+        setLogins((previous) => (page === 1 ? res.data.logins : [...previous, ...res.data.logins]));
+        setPages(res.data.pagination.pages);
+      })
+      .catch((err) => console.error('Fetch login history error:', err.response?.data?.msg || err.message))
+      .finally(() => setLoading(false));
+  }, [userId, page]);
+
+  if (!loading && logins.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ my: 1 }}>
+        No logins recorded
+      </Typography>
+    );
+  }
+
+  return (
+    <>
+      <List dense disablePadding>
+        {logins.map((login) => (
+          <ListItem key={login._id} disableGutters>
+            {login.success ? (
+              <CheckCircle color="success" fontSize="small" sx={{ mr: 1 }} titleAccess="Succeeded" />
+            ) : (
+              <Cancel color="error" fontSize="small" sx={{ mr: 1 }} titleAccess="Failed" />
+            )}
+            <ListItemText
+              primary={`${new Date(login.at).toLocaleString()}${login.success ? '' : ` — ${REASONS[login.reason] || 'failed'}`}`}
+              secondary={[login.ip, describeUserAgent(login.userAgent)].filter(Boolean).join(' · ')}
+            />
+          </ListItem>
+        ))}
+      </List>
+      {loading ? (
+        <Box sx={{ textAlign: 'center', my: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        page < pages && (
+          <Button size="small" onClick={() => setPage(page + 1)}>
+            Show more
+          </Button>
+        )
+      )}
+    </>
+  );
+}
+
+export default LoginHistory;
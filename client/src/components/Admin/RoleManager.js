@@ -0,0 +1,209 @@
+// client/src/components/Admin/RoleManager.js
+import { useState, useEffect, useContext } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Button,
+  Box,
+  Chip,
+  IconButton,
+  Modal,
+  Typography,
+  TextField,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Alert,
+} from '@mui/material';
+import { Edit, Delete } from '@mui/icons-material';
+import axios from '../../axios';
+import useRoles from '../../hooks/useRoles';
+import { AuthContext } from '../../context/AuthContext';
+
+const emptyRole = { name: '', description: '', permissions: [] };
+
+function RoleManager() {
+  const { user } = useContext(AuthContext);
+  const { roles, fetchRoles } = useRoles();
+  const [permissions, setPermissions] = useState([]);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyRole);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios
+      .get('/api/roles/permissions')
+      .then((res) => setPermissions(res.data))
+      .catch((err) => console.error('Fetch permissions error:', err.response?.data?.msg || err.message));
+  }, []);
+
+  const openModal = (role) => {
+    setEditing(role);
+    setFormData(role ? { name: role.name, description: role.description, permissions: role.permissions } : emptyRole);
+    setError('');
+    setModalOpen(true);
+  };
+
+  // Permissions you don't hold can't be added, only kept or removed (the server checks too)
+  const canGrant = (permission) => user.permissions.includes(permission) || !!editing?.permissions.includes(permission);
+
+  const togglePermission = (permission) => {
+    const has = formData.permissions.includes(permission);
+    setFormData({
+      ...formData,
+      permissions: has
+        ? formData.permissions.filter((p) => p !== permission)
+        : [...formData.permissions, permission],
+    });
+  };
+
+  const handleSubmit = async () => {
+    setError('');
+    try {
+      if (editing) {
+        // The admin role's permissions are fixed server-side
+        const { permissions: rolePermissions, ...rest } = formData;
+        await axios.put(`/api/roles/${editing._id}`, editing.name === 'admin' ? rest : { ...rest, permissions: rolePermissions });
+      } else {
+        await axios.post('/api/roles', formData);
+      }
+      setModalOpen(false);
+      fetchRoles();
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Failed to save role');
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the "${role.name}" role?`)) return;
+    try {
+      await axios.delete(`/api/roles/${role._id}`);
+      fetchRoles();
+    } catch (error) {
+      window.alert(error.response?.data?.msg || 'Failed to delete role');
+    }
+  };
+
+  return (
+    <Box>
+      <Button variant="contained" color="primary" onClick={() => openModal(null)} sx={{ mb: 3 }}>
+        Add Role
+      </Button>
+      <TableContainer component={Paper} sx={{ boxShadow: 2 }}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>Name</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Description</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Permissions</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Users</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {roles.map((role) => (
+              <TableRow key={role._id} sx={{ '&:hover': { bgcolor: '#f5f5f5' } }}>
+                <TableCell>
+                  {role.name} {role.isSystem && <Chip label="system" size="small" variant="outlined" />}
+                </TableCell>
+                <TableCell>{role.description}</TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {role.permissions.length === 0
+                      ? '—'
+                      : role.permissions.map((permission) => <Chip key={permission} label={permission} size="small" />)}
+                  </Box>
+                </TableCell>
+                <TableCell>{role.userCount}</TableCell>
+                <TableCell>
+                  <IconButton onClick={() => openModal(role)} title="Edit">
+                    <Edit />
+                  </IconButton>
+                  {!role.isSystem && (
+                    <IconButton onClick={() => handleDelete(role)} title="Delete">
+                      <Delete />
+                    </IconButton>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Modal open={modalOpen} onClose={() => setModalOpen(false)}>
+        <Box
+          sx={{
+            position: 'absolute',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            width: { xs: '90%', sm: 420 },
+            bgcolor: 'white',
+            boxShadow: 24,
+            p: 4,
+            borderRadius: 2,
+          }}
+        >
+          <Typography variant="h6" gutterBottom>
+            {editing ? 'Edit Role' : 'Add Role'}
+          </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            label="Name"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            fullWidth
+            margin="normal"
+            disabled={editing?.isSystem}
+            variant="outlined"
+          />
+          <TextField
+            label="Description"
+            value={formData.description}
+            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+            fullWidth
+            margin="normal"
+            variant="outlined"
+          />
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>
+            Permissions
+          </Typography>
+          <FormGroup>
+            {permissions.map((permission) => (
+              <FormControlLabel
+                key={permission}
+                label={permission}
+                control={
+                  <Checkbox
+                    checked={formData.permissions.includes(permission)}
+                    onChange={() => togglePermission(permission)}
+                    disabled={editing?.name === 'admin' || !canGrant(permission)}
+                  />
+                }
+              />
+            ))}
+          </FormGroup>
+          <Button variant="contained" color="primary" onClick={handleSubmit} fullWidth sx={{ mt: 2, py: 1.5 }}>
+            Save
+          </Button>
+          <Button variant="outlined" onClick={() => setModalOpen(false)} fullWidth sx={{ mt: 1 }}>
+            Close
+          </Button>
+        </Box>
+      </Modal>
+    </Box>
+  );
+}
+
+export default RoleManager;
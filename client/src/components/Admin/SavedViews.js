@@ -0,0 +1,100 @@
+// client/src/components/Admin/SavedViews.js
+import { useState, useEffect, useCallback } from 'react';
+import { Box, Select, MenuItem, IconButton, Tooltip } from '@mui/material';
+import { BookmarkAdd, Delete, Link as LinkIcon } from '@mui/icons-material';
+import axios from '../../axios';
+
+// Stable comparison of two param objects, so the dropdown shows which view is applied
+const sameParams = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => (a[key] || '') === (b[key] || ''));
+};
+
+// The signed-in admin's named filter sets; picking one replaces the current filters
+function SavedViews({ params, onApply }) {
+  const [views, setViews] = useState([]);
+  const [copied, setCopied] = useState(false);
+
+  const fetchViews = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/views');
+      setViews(res.data);
+    } catch (error) {
+      console.error('Fetch views error:', error.response?.data?.msg || error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchViews();
+  }, [fetchViews]);
+
+  const current = views.find((view) => sameParams(view.params, params));
+
+  const handleSave = async () => {
+    const name = window.prompt('Name this view');
+    if (!name) return;
+    try {
+      await axios.post('/api/views', { name, params });
+      fetchViews();
+    } catch (error) {
+      window.alert(error.response?.data?.msg || 'Failed to save view');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${current.name}" view?`)) return;
+    try {
+      await axios.delete(`/api/views/${current._id}`);
+      fetchViews();
+    } catch (error) {
+      window.alert(error.response?.data?.msg || 'Failed to delete view');
+    }
+  };
+
+  // Filters live in the URL, so the current address is the shareable link
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+      <Select
+        value={current?._id || ''}
+        onChange={(e) => onApply(views.find((view) => view._id === e.target.value).params)}
+        displayEmpty
+        sx={{ minWidth: 160 }}
+        variant="outlined"
+      >
+        <MenuItem value="" disabled>
+          Saved views
+        </MenuItem>
+        {views.map((view) => (
+          <MenuItem key={view._id} value={view._id}>
+            {view.name}
+          </MenuItem>
+        ))}
+      </Select>
+      <Tooltip title="Save current filters as a view">
+        <IconButton onClick={handleSave}>
+          <BookmarkAdd />
+        </IconButton>
+      </Tooltip>
+      {current && (
+        <Tooltip title="Delete this view">
+          <IconButton onClick={handleDelete}>
+            <Delete />
+          </IconButton>
+        </Tooltip>
+      )}
+      <Tooltip title={copied ? 'Link copied' : 'Copy link to these filters'}>
+        <IconButton onClick={handleCopyLink}>
+          <LinkIcon />
+        </IconButton>
+      </Tooltip>
+    </Box>
+  );
+}
+
+export default SavedViews;
@@ -0,0 +1,134 @@
+// client/src/components/Admin/UserFilters.js
+import { useState } from 'react';
+import { Box, TextField, Select, MenuItem, Button, Collapse, Checkbox, ListItemText } from '@mui/material';
+import SavedViews from './SavedViews';
+
+const DATE_RANGES = [
+  { label: 'Created', from: 'createdFrom', to: 'createdTo' },
+  { label: 'Updated', from: 'updatedFrom', to: 'updatedTo' },
+  { label: 'Last login', from: 'lastLoginFrom', to: 'lastLoginTo' },
+];
+const ADVANCED_KEYS = ['q', ...DATE_RANGES.flatMap((range) => [range.from, range.to])];
+
+const SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'name:asc', label: 'Name A–Z' },
+  { value: 'name:desc', label: 'Name Z–A' },
+  { value: 'lastLoginAt:desc', label: 'Recently signed in' },
+];
+
+const EXPRESSION_HELP =
+  'e.g. role:admin,support -verified:true created:>=2024-01-01 lastLogin:never "smith". ' +
+  'Fields: name, email, role, active, verified, 2fa, created, updated, lastLogin. Prefix "-" to exclude.';
+
+// Filter bar for the user list. filters holds URL-style string params;
+// onChange merges changes into them and onApply replaces them all.
+function UserFilters({ filters, roles = [], onChange, onApply, showViews }) {
+  const [expanded, setExpanded] = useState(ADVANCED_KEYS.some((key) => filters[key]));
+  const selectedRoles = filters.role ? filters.role.split(',') : [];
+  const sort = filters.sort || 'createdAt:desc';
+
+  // Relevance ranking needs a search term, so clearing the search drops it
+  const changeSearch = (search) =>
+    onChange({ search, ...(!search && filters.sort === 'relevance' && { sort: '' }) });
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+        <TextField
+          label="Search by name or email"
+          value={filters.search || ''}
+          onChange={(e) => changeSearch(e.target.value)}
+          sx={{ flex: '1 1 300px' }}
+          variant="outlined"
+        />
+        <Select
+          multiple
+          value={selectedRoles}
+          onChange={(e) => onChange({ role: e.target.value.join(',') })}
+          displayEmpty
+          renderValue={(selected) => (selected.length ? selected.join(', ') : 'All Roles')}
+          sx={{ minWidth: 140 }}
+          variant="outlined"
+        >
+          {roles.map((role) => (
+            <MenuItem key={role._id} value={role.name}>
+              <Checkbox size="small" checked={selectedRoles.includes(role.name)} />
+              <ListItemText primary={role.name} />
+            </MenuItem>
+          ))}
+        </Select>
+        <Select
+          value={filters.active || ''}
+          onChange={(e) => onChange({ active: e.target.value })}
+          displayEmpty
+          sx={{ minWidth: 120 }}
+          variant="outlined"
+        >
+          <MenuItem value="">All Statuses</MenuItem>
+          <MenuItem value="true">Active</MenuItem>
+          <MenuItem value="false">Inactive</MenuItem>
+        </Select>
+        <Select
+          value={sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          sx={{ minWidth: 140 }}
+          variant="outlined"
+        >
+          {SORT_OPTIONS.map(({ value, label }) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+          <MenuItem value="relevance" disabled={!filters.search}>
+            Best match
+          </MenuItem>
+          {/* A sort picked from a column header */}
+          {!SORT_OPTIONS.some((option) => option.value === sort) && sort !== 'relevance' && (
+            <MenuItem value={sort}>Sorted by column</MenuItem>
+          )}
+        </Select>
+        <Button variant="text" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Fewer filters' : 'More filters'}
+        </Button>
+        {showViews && <SavedViews params={filters} onApply={onApply} />}
+      </Box>
+      <Collapse in={expanded}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 2 }}>
+          {DATE_RANGES.map(({ label, from, to }) => (
+            <Box key={from} sx={{ display: 'flex', gap: 1 }}>
+              <TextField
+                label={`${label} from`}
+                type="date"
+                size="small"
+                value={filters[from] || ''}
+                onChange={(e) => onChange({ [from]: e.target.value })}
+                slotProps={{ inputLabel: { shrink: true } }}
+              />
+              <TextField
+                label={`${label} to`}
+                type="date"
+                size="small"
+                value={filters[to] || ''}
+                onChange={(e) => onChange({ [to]: e.target.value })}
+                slotProps={{ inputLabel: { shrink: true } }}
+              />
+            </Box>
+          ))}
+          <TextField
+            label="Filter expression"
+            value={filters.q || ''}
+            onChange={(e) => onChange({ q: e.target.value })}
+            helperText={EXPRESSION_HELP}
+            fullWidth
+            size="small"
+            variant="outlined"
+          />
+        </Box>
+      </Collapse>
+    </Box>
+  );
+}
+
+export default UserFilters;
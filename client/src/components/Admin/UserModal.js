@@ -10,44 +10,141 @@ import {
   InputLabel,
   Select,
   MenuItem,
+  FormHelperText,
   Alert,
+  Divider,
 } from '@mui/material';
 import axios from '../../axios';
-import React from 'react';
+import React, { useContext } from 'react';
+import { AuthContext } from '../../context/AuthContext';
+import AuditTrail from './AuditTrail';
+import UserSessions from './UserSessions';
+import LoginHistory from './LoginHistory';
+import ConflictDialog from './ConflictDialog';
 
-function UserModal({ open, onClose, user, mode, onSave }) {
+const FORM_FIELDS = ['name', 'email', 'password', 'role', 'activateAt', 'deactivateAt'];
+const SCHEDULE_FIELDS = [
+  { key: 'activateAt', label: 'Activate on' },
+  { key: 'deactivateAt', label: 'Deactivate on' },
+];
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Not scheduled');
+// Fields compared when a save conflicts with someone else's edit
+const CONFLICT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'role', label: 'Role' },
+  { key: 'isActive', label: 'Status', format: (value) => (value ? 'Active' : 'Inactive') },
+  ...SCHEDULE_FIELDS.map((field) => ({ ...field, format: formatDate })),
+];
+
+// ISO instant <-> the local "YYYY-MM-DDTHH:mm" a datetime-local input works with
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+const EMPTY_USER = { name: '', email: '', password: '', role: 'user', isActive: true, activateAt: null, deactivateAt: null };
+
+function UserModal({ open, onClose, user, mode, roles = [], onSave }) {
   const [formData, setFormData] = useState(
-    user || { name: '', email: '', password: '', role: 'user', isActive: true }
+    user || EMPTY_USER
   );
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // field -> message from the server
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(!!user?.twoFactorEnabled);
+  const [base, setBase] = useState(user); // server copy the edit started from; its __v goes in If-Match
+  const [conflict, setConflict] = useState(null); // newer server copy after a 409
+  const { can } = useContext(AuthContext);
 
   // Reset form when opening in add mode
   React.useEffect(() => {
     if (open && mode === 'add') {
-      setFormData({ name: '', email: '', password: '', role: 'user', isActive: true });
+      setFormData(EMPTY_USER);
       setError('');
+      setFieldErrors({});
     } else if (open && user) {
       setFormData(user);
+      setBase(user);
+      setConflict(null);
+      setTwoFactorEnabled(!!user.twoFactorEnabled);
       setError('');
+      setFieldErrors({});
     }
   }, [open, mode, user]);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+  };
+
+  const handleScheduleChange = (e) =>
+    handleChange({ target: { name: e.target.name, value: fromLocalInput(e.target.value) } });
+
+  // Props that show a field's server error under it
+  const errorProps = (field) => ({ error: !!fieldErrors[field], helperText: fieldErrors[field] });
+
+  // Save the picked values on top of the newer copy
+  const applyMerge = (merged) => {
+    const values = { ...conflict, ...merged };
+    setBase(conflict);
+    setFormData(values);
+    setConflict(null);
+    handleSubmit(values, conflict);
   };
 
-  const handleSubmit = async () => {
+  // Drop this admin's edits and continue from the newer copy
+  const discardMine = () => {
+    setBase(conflict);
+    setFormData(conflict);
+    setConflict(null);
+    onSave();
+  };
+
+  // For users who lost their authenticator; they can log in with just a password again
+  const handleResetTwoFactor = async () => {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.name}?`)) return;
     setError('');
+    try {
+      await axios.delete(`/api/users/${user._id}/2fa`);
+      setTwoFactorEnabled(false);
+      onSave();
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const handleSubmit = async (values = formData, from = base) => {
+    setError('');
+    setFieldErrors({});
+    const { name, email, password, role, isActive, activateAt, deactivateAt } = values;
     try {
       if (mode === 'add') {
-        await axios.post('/api/users', formData);
+        await axios.post('/api/users', { name, email, password, role, isActive, activateAt, deactivateAt });
       } else {
-        await axios.put(`/api/users/${user._id}`, formData);
+        // Schedules go along only when changed; one already due can't be saved again
+        const schedule = Object.fromEntries(
+          SCHEDULE_FIELDS.filter(({ key }) => values[key] !== from[key]).map(({ key }) => [key, values[key] ?? null])
+        );
+        // Only applies if nobody changed the user since `from` was loaded
+        await axios.put(
+          `/api/users/${user._id}`,
+          { name, email, role, isActive, ...schedule },
+          { headers: { 'If-Match': `"${from.__v}"` } }
+        );
       }
       onSave();
       onClose();
     } catch (error) {
-      setError(error.response?.data?.msg || 'Failed to save user');
+      const { msg, errors, code, current } = error.response?.data || {};
+      if (code === 'VERSION_CONFLICT' && current) {
+        setConflict(current);
+        return;
+      }
+      // Field problems go under their inputs; anything else in the banner
+      if (FORM_FIELDS.some((field) => errors?.[field])) setFieldErrors(errors);
+      else setError(msg || 'Failed to save user');
     }
   };
 
@@ -60,6 +157,8 @@ function UserModal({ open, onClose, user, mode, onSave }) {
           left: '50%',
           transform: 'translate(-50%, -50%)',
           width: { xs: '90%', sm: 400 },
+          maxHeight: '90vh',
+          overflowY: 'auto',
           bgcolor: 'white',
           boxShadow: 24,
           p: 4,
@@ -79,6 +178,7 @@ function UserModal({ open, onClose, user, mode, onSave }) {
           name="name"
           value={formData.name}
           onChange={handleChange}
+          {...errorProps('name')}
           fullWidth
           margin="normal"
           disabled={mode === 'view'}
@@ -89,6 +189,7 @@ function UserModal({ open, onClose, user, mode, onSave }) {
           name="email"
           value={formData.email}
           onChange={handleChange}
+          {...errorProps('email')}
           fullWidth
           margin="normal"
           disabled={mode === 'view'}
@@ -101,18 +202,23 @@ function UserModal({ open, onClose, user, mode, onSave }) {
             type="password"
             value={formData.password}
             onChange={handleChange}
+            {...errorProps('password')}
             fullWidth
             margin="normal"
             required
             variant="outlined"
           />
         )}
-        <FormControl fullWidth margin="normal" disabled={mode === 'view'}>
+        <FormControl fullWidth margin="normal" disabled={mode === 'view'} error={!!fieldErrors.role}>
           <InputLabel>Role</InputLabel>
           <Select name="role" value={formData.role} onChange={handleChange}>
-            <MenuItem value="user">User</MenuItem>
-            <MenuItem value="admin">Admin</MenuItem>
+            {roles.map((role) => (
+              <MenuItem key={role._id} value={role.name}>
+                {role.name}
+              </MenuItem>
+            ))}
           </Select>
+          {fieldErrors.role && <FormHelperText>{fieldErrors.role}</FormHelperText>}
         </FormControl>
         <FormControl fullWidth margin="normal" disabled={mode === 'view'}>
           <InputLabel>Status</InputLabel>
@@ -125,11 +231,56 @@ function UserModal({ open, onClose, user, mode, onSave }) {
             <MenuItem value={false}>Inactive</MenuItem>
           </Select>
         </FormControl>
+        {SCHEDULE_FIELDS.map(({ key, label }) => (
+          <TextField
+            key={key}
+            label={label}
+            name={key}
+            type="datetime-local"
+            value={toLocalInput(formData[key])}
+            onChange={handleScheduleChange}
+            {...errorProps(key)}
+            fullWidth
+            margin="normal"
+            disabled={mode === 'view'}
+            variant="outlined"
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+        ))}
+        {mode === 'view' && user && (
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 1 }}>
+            <Typography variant="body2">
+              Two-factor authentication: {twoFactorEnabled ? 'on' : 'off'}
+            </Typography>
+            {twoFactorEnabled && can('users:write') && (
+              <Button size="small" color="error" onClick={handleResetTwoFactor}>
+                Reset 2FA
+              </Button>
+            )}
+          </Box>
+        )}
+        {mode === 'view' && user && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1">Active sessions</Typography>
+            <UserSessions key={user._id} userId={user._id} canManage={can('users:write')} />
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1">Login history</Typography>
+            <LoginHistory key={user._id} userId={user._id} />
+          </>
+        )}
+        {mode === 'view' && user && can('audit:read') && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1">History</Typography>
+            <AuditTrail userId={user._id} />
+          </>
+        )}
         {(mode === 'edit' || mode === 'add') && (
           <Button
             variant="contained"
             color="primary"
-            onClick={handleSubmit}
+            onClick={() => handleSubmit()}
             fullWidth
             sx={{ mt: 2, py: 1.5 }}
           >
@@ -144,6 +295,16 @@ function UserModal({ open, onClose, user, mode, onSave }) {
         >
           Close
         </Button>
+        <ConflictDialog
+          open={!!conflict}
+          fields={CONFLICT_FIELDS}
+          base={base}
+          mine={formData}
+          theirs={conflict}
+          onApply={applyMerge}
+          onDiscard={discardMine}
+          onCancel={() => setConflict(null)}
+        />
       </Box>
     </Modal>
   );
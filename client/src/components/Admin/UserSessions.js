@@ -0,0 +1,128 @@
+// client/src/components/Admin/UserSessions.js
+import { useState, useEffect, useCallback } from 'react';
+import { List, ListItem, ListItemText, Typography, CircularProgress, Box, Button, IconButton, Alert } from '@mui/material';
+import { Logout } from '@mui/icons-material';
+import axios from '../../axios';
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+// "Chrome on Windows" from a User-Agent header; the raw header when nothing matches
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (!browser && !system) return userAgent;
+  return [browser, system].filter(Boolean).join(' on ');
+};
+
+// A user's active sessions inside UserModal, with per-session and "everywhere" sign-out
+function UserSessions({ userId, canManage }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(() => {
+    setLoading(true);
+    axios
+      .get(`/api/users/${userId}/sessions`)
+      .then((res) => setSessions(res.data.sessions))
+      .catch((err) => setError(err.response?.data?.msg || 'Failed to load sessions'))
+      .finally(() => setLoading(false));
+  }, [userId]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revoke = async (session) => {
+    setError('');
+    try {
+      await axios.delete(`/api/users/${userId}/sessions/${session._id}`);
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to revoke session');
+    }
+  };
+
+  const signOutEverywhere = async () => {
+    if (!window.confirm('Sign this user out of every device? They will have to log in again.')) return;
+    setError('');
+    try {
+      await axios.post(`/api/users/${userId}/sign-out`);
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to sign out');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ textAlign: 'center', my: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <Alert severity="error" sx={{ my: 1 }}>
+          {error}
+        </Alert>
+      )}
+      {sessions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ my: 1 }}>
+          Not signed in anywhere
+        </Typography>
+      ) : (
+        <List dense disablePadding>
+          {sessions.map((session) => (
+            <ListItem
+              key={session._id}
+              disableGutters
+              secondaryAction={
+                canManage &&
+                !session.current && (
+                  <IconButton edge="end" title="Sign out this session" onClick={() => revoke(session)}>
+                    <Logout />
+                  </IconButton>
+                )
+              }
+            >
+              <ListItemText
+                primary={`${describeUserAgent(session.userAgent)}${session.current ? ' (this session)' : ''}`}
+                secondary={[
+                  session.ip,
+                  `signed in ${new Date(session.createdAt).toLocaleString()}`,
+                  `last active ${new Date(session.lastUsedAt).toLocaleString()}`,
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+      {canManage && sessions.some((session) => !session.current) && (
+        <Button size="small" color="error" onClick={signOutEverywhere} sx={{ mt: 1 }}>
+          Sign out everywhere
+        </Button>
+      )}
+    </>
+  );
+}
+
+export default UserSessions;
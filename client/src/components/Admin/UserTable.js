@@ -1,5 +1,6 @@
 // client/src/components/Admin/UserTable.js
-import { useState, useEffect, useContext, useCallback } from 'react';
+import { useState, useEffect, useContext, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
 import axios from '../../axios';
 import {
   Table,
@@ -8,33 +9,133 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TableSortLabel,
   Paper,
-  TextField,
-  Select,
-  MenuItem,
   Button,
   Pagination,
   Box,
-  Typography,
   IconButton,
   CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Checkbox,
+  Alert,
+  Link,
+  Typography,
+  Snackbar,
 } from '@mui/material';
-import { Edit, Delete, Visibility, ToggleOn, ToggleOff } from '@mui/icons-material';
+import {
+  Edit,
+  Delete,
+  Visibility,
+  ToggleOn,
+  ToggleOff,
+  VerifiedUser,
+  HourglassEmpty,
+  RestoreFromTrash,
+  LockOpen,
+  Login,
+} from '@mui/icons-material';
 import { AuthContext } from '../../context/AuthContext';
 import UserModal from './UserModal';
+import InviteModal from './InviteModal';
+import BulkToolbar from './BulkToolbar';
+import ImportModal from './ImportModal';
+import ExportMenu from './ExportMenu';
+import UserFilters from './UserFilters';
+import Highlight from './Highlight';
+import useRoles from '../../hooks/useRoles';
+import useDebouncedValue from '../../hooks/useDebouncedValue';
+import useUserEvents from '../../hooks/useUserEvents';
+
+const EVENT_VERBS = { created: 'added', updated: 'edited', deleted: 'deleted', restored: 'restored' };
+
+const isLocked = (user) => !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
+// Upcoming scheduled status changes, soonest first, e.g. ["Deactivates 6/30/2025"]
+const scheduledChanges = (user) =>
+  [
+    [user.activateAt, 'Activates'],
+    [user.deactivateAt, 'Deactivates'],
+  ]
+    .filter(([at]) => at)
+    .sort(([a], [b]) => new Date(a) - new Date(b))
+    .map(([at, label]) => `${label} ${new Date(at).toLocaleDateString()}`);
+
+// List filters and sort live in the URL so a filtered list can be bookmarked or shared
+const FILTER_KEYS = [
+  'search',
+  'role',
+  'active',
+  'q',
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo',
+  'lastLoginFrom',
+  'lastLoginTo',
+  'sort',
+];
+const DEFAULT_SORT = 'createdAt:desc';
+const PAGE_SIZE = 10;
+
+// Data columns and the field each one sorts by
+const COLUMNS = [
+  { label: 'Name', field: 'name' },
+  { label: 'Email', field: 'email' },
+  { label: 'Role', field: 'role' },
+  { label: 'Status', field: 'isActive' },
+  { label: 'Verified', field: 'emailVerified' },
+  { label: 'Last login', field: 'lastLoginAt' },
+];
 
 function UserTable() {
-  const { logout } = useContext(AuthContext);
+  const { user: me, can, impersonate } = useContext(AuthContext);
+  const { roles } = useRoles();
+  const navigate = useNavigate();
+  // Only accounts whose role grants no permissions can be impersonated (the server checks too)
+  const canImpersonate = (user) =>
+    can('users:impersonate') &&
+    user._id !== me?.id &&
+    user.isActive &&
+    roles.find((role) => role.name === user.role)?.permissions.length === 0;
   const [users, setUsers] = useState([]);
   const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
-  const [search, setSearch] = useState('');
-  const [roleFilter, setRoleFilter] = useState('');
-  const [activeFilter, setActiveFilter] = useState('');
-  const [sort, setSort] = useState('createdAt:desc');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [listError, setListError] = useState('');
   const [modalOpen, setModalOpen] = useState(false);
   const [modalUser, setModalUser] = useState(null);
   const [modalMode, setModalMode] = useState('view');
+  const [inviteOpen, setInviteOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [view, setView] = useState('users'); // 'users' | 'trash'
   const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState([]); // ids picked on the current page
+  const [allMatching, setAllMatching] = useState(false); // every user matching the filters, across pages
+  const [paging, setPaging] = useState('pages'); // 'pages' | 'scroll'
+  const [loadingMore, setLoadingMore] = useState(false);
+  const sentinelRef = useRef(null);
+  const [notice, setNotice] = useState(null); // { text, refresh } about someone else's change
+
+  const queryString = searchParams.toString();
+  const filters = useMemo(() => {
+    const params = new URLSearchParams(queryString);
+    return Object.fromEntries(FILTER_KEYS.filter((key) => params.get(key)).map((key) => [key, params.get(key)]));
+  }, [queryString]);
+  const sort = filters.sort || DEFAULT_SORT;
+  // The inputs update the URL on every keystroke; the list is only fetched once typing pauses
+  const requestFilters = useDebouncedValue(filters);
+
+  // Merge changed filters into the URL; empty values drop the parameter
+  const changeFilters = (changes) =>
+    setSearchParams(
+      (current) => {
+        const next = new URLSearchParams(current);
+        Object.entries(changes).forEach(([key, value]) => (value ? next.set(key, value) : next.delete(key)));
+        return next;
+      },
+      { replace: true }
+    );
 
   // Add handler for opening add user modal
   const handleAddUser = () => {
@@ -43,41 +144,128 @@ function UserTable() {
     setModalOpen(true);
   };
 
+  const listParams = useMemo(
+    () => ({
+      ...requestFilters,
+      limit: PAGE_SIZE,
+      deleted: view === 'trash' ? 'only' : undefined,
+      sort: requestFilters.sort || DEFAULT_SORT,
+    }),
+    [requestFilters, view]
+  );
+
+  const showListError = (error) => {
+    // e.g. a filter expression the server can't parse
+    if (error.response?.status === 400) setListError(error.response.data.msg);
+    console.error('Fetch users error:', error.response?.data?.msg || error.message);
+  };
+
   const fetchUsers = useCallback(async (page = 1) => {
     setLoading(true);
     try {
-      const params = {
-        page,
-        limit: 10,
-        search: search || undefined,
-        role: roleFilter || undefined,
-        active: activeFilter || undefined,
-        sort,
-      };
-      const res = await axios.get('/api/users', { params });
+      const res = await axios.get('/api/users', { params: { ...listParams, page } });
       setUsers(res.data.users);
       setPagination(res.data.pagination);
+      setListError('');
     } catch (error) {
-      if (error.response?.status === 401 || error.response?.status === 403) {
-        // logout();
-      }
-      console.error('Fetch users error:', error.response?.data?.msg || error.message);
+      showListError(error);
     } finally {
       setLoading(false);
     }
-  }, [search, roleFilter, activeFilter, sort]);
+  }, [listParams]);
 
   useEffect(() => {
     fetchUsers();
   }, [fetchUsers]);
 
+  // Infinite scroll appends the rows after the last one loaded. Cursors keep that
+  // stable while users are added or removed; relevance order falls back to page numbers.
+  const hasMore = !!pagination.nextCursor || (!!pagination.current && pagination.current < pagination.pages);
+
+  const loadMore = useCallback(async () => {
+    if (loadingMore || !hasMore) return;
+    setLoadingMore(true);
+    try {
+      const next = pagination.nextCursor ? { cursor: pagination.nextCursor } : { page: pagination.current + 1 };
+      const res = await axios.get('/api/users', { params: { ...listParams, ...next } });
+      setUsers((current) => [...current, ...res.data.users]);
+      setPagination(res.data.pagination);
+    } catch (error) {
+      showListError(error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [listParams, pagination, hasMore, loadingMore]);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (paging !== 'scroll' || !sentinel) return undefined;
+    const observer = new IntersectionObserver((entries) => entries[0].isIntersecting && loadMore());
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [paging, loadMore]);
+
+  // After a change, reload what's on screen: the current page, or from the top when scrolling
+  const reload = () => fetchUsers(paging === 'scroll' ? 1 : pagination.current);
+
+  // Other admins' changes arrive live: rows on screen are patched in place or dropped
+  // when they leave this list; new arrivals only get a notice, since where they
+  // belong depends on the filters and sort.
+  useUserEvents(({ type, user: changed, actor }) => {
+    const leavesList = (type === 'deleted' && view === 'users') || (type === 'restored' && view === 'trash');
+    const joinsList = type === 'created' || (type === 'restored' && view === 'users') || (type === 'deleted' && view === 'trash');
+    setUsers((current) =>
+      leavesList
+        ? current.filter((row) => row._id !== changed._id)
+        : current.map((row) => (row._id === changed._id ? { ...row, ...changed } : row))
+    );
+    if (actor?.id === me?.id) return; // our own actions already refresh the list
+    const who = changed.name || changed.email || 'A user';
+    setNotice({
+      text: `${who} was just ${EVENT_VERBS[type]}${actor ? ` by ${actor.name}` : ''}`,
+      refresh: joinsList,
+    });
+  });
+
+  // A selection only makes sense for the list it was made on
+  useEffect(() => {
+    setSelected([]);
+    setAllMatching(false);
+  }, [filters, view]);
+
+  const bulkEnabled = view === 'users' && (can('users:write') || can('users:delete'));
+  const pageSelected = users.length > 0 && users.every((user) => selected.includes(user._id));
+
+  const toggleSelected = (id) => {
+    setAllMatching(false);
+    setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+  };
+
+  const togglePage = () => {
+    setAllMatching(false);
+    setSelected(pageSelected ? [] : users.map((user) => user._id));
+  };
+
+  const clearSelection = () => {
+    setSelected([]);
+    setAllMatching(false);
+  };
+
+  const bulkSelection = allMatching ? { filter: filters } : { ids: selected };
+
   const handlePageChange = (event, value) => {
     fetchUsers(value);
   };
 
+  const [sortField, sortDirection] = sort.split(':');
+
   const handleSort = (field) => {
-    const [currentField, direction] = sort.split(':');
-    setSort(`${field}:${currentField === field && direction === 'asc' ? 'desc' : 'asc'}`);
+    changeFilters({ sort: `${field}:${sortField === field && sortDirection === 'asc' ? 'desc' : 'asc'}` });
+  };
+
+  const changePaging = (value) => {
+    setPaging(value);
+    fetchUsers();
   };
 
   const handleAction = (action, user) => {
@@ -88,16 +276,39 @@ function UserTable() {
     } else if (action === 'toggle') {
       setLoading(true);
       axios
-        .put(`/api/users/${user._id}`, { isActive: !user.isActive })
-        .then(() => fetchUsers(pagination.current))
-        .catch((err) => console.error('Toggle error:', err.response?.data?.msg))
+        .put(`/api/users/${user._id}`, { isActive: !user.isActive }, { headers: { 'If-Match': `"${user.__v}"` } })
+        .then(() => reload())
+        .catch((err) => {
+          console.error('Toggle error:', err.response?.data?.msg);
+          // The row was stale; show the current state rather than toggling blind
+          if (err.response?.status === 409) reload();
+        })
+        .finally(() => setLoading(false));
+    } else if (action === 'impersonate') {
+      if (!window.confirm(`Sign in as ${user.name}? Everything you do is recorded as yours.`)) return;
+      impersonate(user._id)
+        .then(() => navigate('/account'))
+        .catch((err) => setNotice({ text: err.response?.data?.msg || 'Failed to sign in as this user' }));
+    } else if (action === 'unlock') {
+      setLoading(true);
+      axios
+        .post(`/api/users/${user._id}/unlock`)
+        .then(() => reload())
+        .catch((err) => console.error('Unlock error:', err.response?.data?.msg))
+        .finally(() => setLoading(false));
+    } else if (action === 'restore') {
+      setLoading(true);
+      axios
+        .post(`/api/users/${user._id}/restore`)
+        .then(() => reload())
+        .catch((err) => console.error('Restore error:', err.response?.data?.msg))
         .finally(() => setLoading(false));
     } else if (action === 'delete') {
-      if (window.confirm('Are you sure you want to delete this user?')) {
+      if (window.confirm('Move this user to the trash? They can be restored until the trash is purged.')) {
         setLoading(true);
         axios
           .delete(`/api/users/${user._id}`)
-          .then(() => fetchUsers(pagination.current))
+          .then(() => reload())
           .catch((err) => console.error('Delete error:', err.response?.data?.msg))
           .finally(() => setLoading(false));
       }
@@ -105,106 +316,221 @@ function UserTable() {
   };
 
   return (
-    <Box sx={{ p: { xs: 2, md: 4 }, maxWidth: 1200, mx: 'auto' }}>
-      <Typography variant="h4" gutterBottom>
-        User Management
-      </Typography>
-      <Button
-        variant="contained"
-        color="primary"
-        onClick={handleAddUser}
+    <Box>
+      {can('users:delete') && (
+        <ToggleButtonGroup
+          value={view}
+          exclusive
+          onChange={(e, value) => value && setView(value)}
+          size="small"
+          sx={{ mb: 3, mr: 2 }}
+        >
+          <ToggleButton value="users">Users</ToggleButton>
+          <ToggleButton value="trash">Trash</ToggleButton>
+        </ToggleButtonGroup>
+      )}
+      {can('users:write') && view === 'users' && (
+        <>
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={handleAddUser}
+            sx={{ mb: 3, mr: 2 }}
+          >
+            Add User
+          </Button>
+          <Button
+            variant="outlined"
+            color="primary"
+            onClick={() => setInviteOpen(true)}
+            sx={{ mb: 3, mr: 2 }}
+          >
+            Invite User
+          </Button>
+          <Button
+            variant="outlined"
+            color="primary"
+            onClick={() => setImportOpen(true)}
+            sx={{ mb: 3, mr: 2 }}
+          >
+            Import
+          </Button>
+        </>
+      )}
+      {view === 'users' && <ExportMenu filters={filters} sort={sort} />}
+      <ToggleButtonGroup
+        value={paging}
+        exclusive
+        onChange={(e, value) => value && changePaging(value)}
+        size="small"
         sx={{ mb: 3, mr: 2 }}
       >
-        Add User
-      </Button>
-      <Button
-        variant="outlined"
-        color="secondary"
-        onClick={logout}
-        sx={{ mb: 3 }}
-      >
-        Logout
-      </Button>
-      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
-        <TextField
-          label="Search by name or email"
-          value={search}
-          onChange={(e) => setSearch(e.target.value)}
-          sx={{ flex: '1 1 300px' }}
-          variant="outlined"
+        <ToggleButton value="pages">Pages</ToggleButton>
+        <ToggleButton value="scroll">Scroll</ToggleButton>
+      </ToggleButtonGroup>
+      <UserFilters
+        filters={filters}
+        roles={roles}
+        onChange={changeFilters}
+        onApply={(params) => setSearchParams(params)}
+        showViews={view === 'users'}
+      />
+      {listError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {listError}
+        </Alert>
+      )}
+      {bulkEnabled && (
+        <BulkToolbar
+          count={allMatching ? pagination.total : selected.length}
+          selection={bulkSelection}
+          roles={roles}
+          onDone={() => {
+            clearSelection();
+            reload();
+          }}
         />
-        <Select
-          value={roleFilter}
-          onChange={(e) => setRoleFilter(e.target.value)}
-          displayEmpty
-          sx={{ minWidth: 120 }}
-          variant="outlined"
-        >
-          <MenuItem value="">All Roles</MenuItem>
-          <MenuItem value="admin">Admin</MenuItem>
-          <MenuItem value="user">User</MenuItem>
-        </Select>
-        <Select
-          value={activeFilter}
-          onChange={(e) => setActiveFilter(e.target.value)}
-          displayEmpty
-          sx={{ minWidth: 120 }}
-          variant="outlined"
-        >
-          <MenuItem value="">All Statuses</MenuItem>
-          <MenuItem value="true">Active</MenuItem>
-          <MenuItem value="false">Inactive</MenuItem>
-        </Select>
-      </Box>
+      )}
+      {bulkEnabled && (allMatching || pageSelected) && pagination.total > users.length && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {allMatching ? (
+            <>
+              All {pagination.total} matching users are selected.{' '}
+              <Link component="button" onClick={clearSelection}>
+                Clear selection
+              </Link>
+            </>
+          ) : (
+            <>
+              All {users.length} users {paging === 'scroll' ? 'loaded' : 'on this page'} are selected.{' '}
+              <Link component="button" onClick={() => setAllMatching(true)}>
+                Select all {pagination.total} matching users
+              </Link>
+            </>
+          )}
+        </Alert>
+      )}
       <TableContainer component={Paper} sx={{ boxShadow: 2 }}>
         <Table>
           <TableHead>
             <TableRow>
-              <TableCell
-                onClick={() => handleSort('name')}
-                sx={{ cursor: 'pointer', fontWeight: 'bold' }}
-              >
-                Name {sort.startsWith('name') && (sort.includes('asc') ? '↑' : '↓')}
-              </TableCell>
-              <TableCell sx={{ fontWeight: 'bold' }}>Email</TableCell>
-              <TableCell sx={{ fontWeight: 'bold' }}>Role</TableCell>
-              <TableCell sx={{ fontWeight: 'bold' }}>Status</TableCell>
+              {bulkEnabled && (
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={pageSelected}
+                    indeterminate={!pageSelected && users.some((user) => selected.includes(user._id))}
+                    onChange={togglePage}
+                    inputProps={{ 'aria-label': 'Select all users on this page' }}
+                  />
+                </TableCell>
+              )}
+              {COLUMNS.map(({ label, field }) => (
+                <TableCell
+                  key={field}
+                  sx={{ fontWeight: 'bold' }}
+                  sortDirection={sortField === field ? sortDirection : false}
+                >
+                  <TableSortLabel
+                    active={sortField === field}
+                    direction={sortField === field ? sortDirection : 'asc'}
+                    onClick={() => handleSort(field)}
+                  >
+                    {label}
+                  </TableSortLabel>
+                </TableCell>
+              ))}
               <TableCell sx={{ fontWeight: 'bold' }}>Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
             {loading ? (
               <TableRow>
-                <TableCell colSpan={5} align="center">
+                <TableCell colSpan={COLUMNS.length + (bulkEnabled ? 2 : 1)} align="center">
                   <CircularProgress />
                 </TableCell>
               </TableRow>
             ) : users.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={5} align="center">
+                <TableCell colSpan={COLUMNS.length + (bulkEnabled ? 2 : 1)} align="center">
                   No users found
                 </TableCell>
               </TableRow>
             ) : (
               users.map((user) => (
                 <TableRow key={user._id} sx={{ '&:hover': { bgcolor: '#f5f5f5' } }}>
-                  <TableCell>{user.name}</TableCell>
-                  <TableCell>{user.email}</TableCell>
+                  {bulkEnabled && (
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={allMatching || selected.includes(user._id)}
+                        onChange={() => toggleSelected(user._id)}
+                        inputProps={{ 'aria-label': `Select ${user.name}` }}
+                      />
+                    </TableCell>
+                  )}
+                  <TableCell>
+                    <Highlight text={user.name} term={requestFilters.search} />
+                  </TableCell>
+                  <TableCell>
+                    <Highlight text={user.email} term={requestFilters.search} mode="prefix" />
+                  </TableCell>
                   <TableCell>{user.role}</TableCell>
-                  <TableCell>{user.isActive ? 'Active' : 'Inactive'}</TableCell>
+                  <TableCell>
+                    {user.deletedAt
+                      ? `Deleted ${new Date(user.deletedAt).toLocaleDateString()}`
+                      : isLocked(user)
+                        ? 'Locked'
+                        : user.isActive
+                          ? 'Active'
+                          : 'Inactive'}
+                    {!user.deletedAt &&
+                      scheduledChanges(user).map((change) => (
+                        <Typography key={change} variant="caption" color="text.secondary" display="block">
+                          {change}
+                        </Typography>
+                      ))}
+                  </TableCell>
+                  <TableCell>
+                    {user.emailVerified ? (
+                      <VerifiedUser color="success" titleAccess="Email verified" />
+                    ) : (
+                      <HourglassEmpty color="disabled" titleAccess="Awaiting verification" />
+                    )}
+                  </TableCell>
+                  <TableCell>{user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</TableCell>
                   <TableCell>
                     <IconButton onClick={() => handleAction('view', user)} title="View">
                       <Visibility />
                     </IconButton>
-                    <IconButton onClick={() => handleAction('edit', user)} title="Edit">
-                      <Edit />
-                    </IconButton>
-                    <IconButton onClick={() => handleAction('toggle', user)} title={user.isActive ? 'Deactivate' : 'Activate'}>
-                      {user.isActive ? <ToggleOff /> : <ToggleOn />}
-                    </IconButton>
-                    <IconButton onClick={() => handleAction('delete', user)} title="Delete">
-                      <Delete />
-                    </IconButton>
+                    {view === 'trash' && can('users:delete') && (
+                      <IconButton onClick={() => handleAction('restore', user)} title="Restore">
+                        <RestoreFromTrash />
+                      </IconButton>
+                    )}
+                    {view === 'users' && can('users:write') && (
+                      <>
+                        <IconButton onClick={() => handleAction('edit', user)} title="Edit">
+                          <Edit />
+                        </IconButton>
+                        <IconButton onClick={() => handleAction('toggle', user)} title={user.isActive ? 'Deactivate' : 'Activate'}>
+                          {user.isActive ? <ToggleOff /> : <ToggleOn />}
+                        </IconButton>
+                      </>
+                    )}
+                    {view === 'users' && can('users:write') && isLocked(user) && (
+                      <IconButton onClick={() => handleAction('unlock', user)} title="Unlock">
+                        <LockOpen />
+                      </IconButton>
+                    )}
+                    {view === 'users' && canImpersonate(user) && (
+                      <IconButton onClick={() => handleAction('impersonate', user)} title="Sign in as this user">
+                        <Login />
+                      </IconButton>
+                    )}
+                    {view === 'users' && can('users:delete') && (
+                      <IconButton onClick={() => handleAction('delete', user)} title="Delete">
+                        <Delete />
+                      </IconButton>
+                    )}
                   </TableCell>
                 </TableRow>
               ))
@@ -212,19 +538,62 @@ function UserTable() {
           </TableBody>
         </Table>
       </TableContainer>
-      <Pagination
-        count={pagination.pages}
-        page={pagination.current}
-        onChange={handlePageChange}
-        sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}
-        color="primary"
+      {paging === 'pages' ? (
+        <Pagination
+          count={pagination.pages}
+          page={pagination.current || 1}
+          onChange={handlePageChange}
+          sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}
+          color="primary"
+        />
+      ) : (
+        <Box ref={sentinelRef} sx={{ mt: 3, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            Showing {users.length} of {pagination.total}
+          </Typography>
+          {loadingMore && <CircularProgress size={24} />}
+          {hasMore && !loadingMore && (
+            <Button variant="text" onClick={loadMore}>
+              Load more
+            </Button>
+          )}
+        </Box>
+      )}
+      <Snackbar
+        open={!!notice}
+        onClose={(e, reason) => reason !== 'clickaway' && setNotice(null)}
+        autoHideDuration={6000}
+        message={notice?.text}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+        action={
+          notice?.refresh && (
+            <Button
+              color="secondary"
+              size="small"
+              onClick={() => {
+                setNotice(null);
+                reload();
+              }}
+            >
+              Refresh
+            </Button>
+          )
+        }
       />
       <UserModal
         open={modalOpen}
         onClose={() => setModalOpen(false)}
         user={modalUser}
         mode={modalMode}
-        onSave={() => fetchUsers(pagination.current)}
+        roles={roles}
+        onSave={() => reload()}
+      />
+      <InviteModal open={inviteOpen} onClose={() => setInviteOpen(false)} roles={roles} />
+      <ImportModal
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        roles={roles}
+        onImported={() => reload()}
       />
     </Box>
   );
@@ -0,0 +1,120 @@
+// client/src/components/Auth/AcceptInvite.js
+import { useState, useEffect, useContext } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { TextField, Button, Container, Typography, Box, Alert, CircularProgress } from '@mui/material';
+import axios from '../../axios';
+import { AuthContext } from '../../context/AuthContext';
+
+function AcceptInvite() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { acceptInvite } = useContext(AuthContext);
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios
+      .get(`/api/invites/accept/${token}`)
+      .then((res) => setInvite(res.data))
+      .catch((err) => setError(err.response?.data?.msg || 'Invite is invalid or has expired'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    try {
+      const user = await acceptInvite(token, name, password);
+      navigate(user.permissions.includes('users:read') ? '/admin/dashboard' : '/account');
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Failed to accept invite');
+    }
+  };
+
+  return (
+    <Container
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        bgcolor: '#f5f5f5',
+      }}
+    >
+      <Box
+        sx={{
+          width: '100%',
+          maxWidth: 400,
+          p: 4,
+          boxShadow: 3,
+          borderRadius: 2,
+          bgcolor: 'white',
+        }}
+      >
+        <Typography variant="h4" align="center" gutterBottom>
+          Accept Invitation
+        </Typography>
+        {loading && (
+          <Box sx={{ textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {invite && (
+          <form onSubmit={handleSubmit}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              You're joining as <strong>{invite.role}</strong> with {invite.email}.
+            </Typography>
+            <TextField
+              label="Name"
+              fullWidth
+              margin="normal"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+              variant="outlined"
+            />
+            <TextField
+              label="Password"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              variant="outlined"
+            />
+            <TextField
+              label="Confirm Password"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              variant="outlined"
+              sx={{ mb: 2 }}
+            />
+            <Button type="submit" variant="contained" color="primary" fullWidth sx={{ py: 1.5 }}>
+              Create Account
+            </Button>
+          </form>
+        )}
+      </Box>
+    </Container>
+  );
+}
+
+export default AcceptInvite;
@@ -0,0 +1,97 @@
+// client/src/components/Auth/ForgotPassword.js
+import { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { TextField, Button, Container, Typography, Box, Alert, Link } from '@mui/material';
+import axios from '../../axios';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setSubmitting(true);
+    try {
+      const res = await axios.post('/api/users/forgot-password', { email });
+      setMessage(res.data.msg);
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Something went wrong, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Container
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        bgcolor: '#f5f5f5',
+      }}
+    >
+      <Box
+        sx={{
+          width: '100%',
+          maxWidth: 400,
+          p: 4,
+          boxShadow: 3,
+          borderRadius: 2,
+          bgcolor: 'white',
+        }}
+      >
+        <Typography variant="h4" align="center" gutterBottom>
+          Forgot Password
+        </Typography>
+        <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 2 }}>
+          Enter your email and we'll send you a link to reset your password.
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+        )}
+        <form onSubmit={handleSubmit}>
+          <TextField
+            label="Email"
+            type="email"
+            fullWidth
+            margin="normal"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            variant="outlined"
+            sx={{ mb: 2 }}
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            color="primary"
+            fullWidth
+            disabled={submitting}
+            sx={{ py: 1.5 }}
+          >
+            Send Reset Link
+          </Button>
+        </form>
+        <Typography variant="body2" align="center" sx={{ mt: 2 }}>
+          <Link component={RouterLink} to="/login">
+            Back to login
+          </Link>
+        </Typography>
+      </Box>
+    </Container>
+  );
+}
+
+export default ForgotPassword;
@@ -1,24 +1,92 @@
 // client/src/components/Auth/Login.js
-import { useState, useContext } from 'react';
+import { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
-import { TextField, Button, Container, Typography, Box, Alert } from '@mui/material';
+import axios from '../../axios';
+import { useNavigate, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import { TextField, Button, Container, Typography, Box, Alert, Link, Divider } from '@mui/material';
 
 function Login() {
+  const [searchParams] = useSearchParams();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
-  const { login } = useContext(AuthContext);
+  const [error, setError] = useState(searchParams.get('ssoError') || ''); // sent back by a failed SSO login
+  const [errorCode, setErrorCode] = useState('');
+  const [info, setInfo] = useState('');
+  // Set once the password checked out and 2FA is on; SSO sends its own back with the redirect
+  const [challenge, setChallenge] = useState(searchParams.get('twoFactorChallenge') || '');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, completeTwoFactor } = useContext(AuthContext);
   const navigate = useNavigate();
+  const [sso, setSso] = useState(null); // { enabled, label } from the server
+
+  useEffect(() => {
+    axios
+      .get('/api/auth/oidc/config')
+      .then((res) => setSso(res.data))
+      .catch(() => setSso(null));
+  }, []);
+
+  // A full-page trip through the identity provider; it comes back here signed in
+  const handleSso = () => window.location.assign(`${axios.defaults.baseURL}/api/auth/oidc/login`);
+
+  const goHome = (loggedIn) =>
+    navigate(loggedIn.permissions.includes('users:read') && !loggedIn.twoFactorSetupRequired ? '/admin/dashboard' : '/account');
+
+  const showError = (error, fallback) => {
+    setError(error.response?.data?.msg || fallback);
+    setErrorCode(error.response?.data?.code || '');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
-    const success = await login(email, password);
-    if (success) {
-      navigate('/admin');
-    } else {
-      setError('Invalid credentials');
+    setErrorCode('');
+    setInfo('');
+    try {
+      const result = await login(email, password);
+      if (result.twoFactorRequired) {
+        setChallenge(result.challenge);
+        return;
+      }
+      goHome(result);
+    } catch (error) {
+      showError(error, 'Invalid credentials');
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setErrorCode('');
+    try {
+      goHome(await completeTwoFactor(challenge, useRecoveryCode ? { recoveryCode: code } : { code }));
+    } catch (error) {
+      showError(error, 'Invalid authentication code');
+      // An expired challenge, a lockout or a deactivation means starting over from the password
+      if (error.response?.status === 401 || ['ACCOUNT_LOCKED', 'ACCOUNT_INACTIVE'].includes(error.response?.data?.code)) {
+        setChallenge('');
+        setCode('');
+      }
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallenge('');
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+    setErrorCode('');
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const res = await axios.post('/api/users/verify/resend', { email });
+      setError('');
+      setErrorCode('');
+      setInfo(res.data.msg);
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Could not resend verification email');
     }
   };
 
@@ -43,45 +111,107 @@ function Login() {
         }}
       >
         <Typography variant="h4" align="center" gutterBottom>
-          Admin Login
+          Login
         </Typography>
         {error && (
-          <Alert severity="error" sx={{ mb: 2 }}>
+          <Alert
+            // Lockouts and rate limits aren't wrong credentials; waiting or resetting the password helps
+            severity={errorCode === 'ACCOUNT_LOCKED' || errorCode === 'RATE_LIMITED' ? 'warning' : 'error'}
+            sx={{ mb: 2 }}
+            action={
+              errorCode === 'EMAIL_NOT_VERIFIED' && (
+                <Button color="inherit" size="small" onClick={handleResendVerification}>
+                  Resend
+                </Button>
+              )
+            }
+          >
             {error}
           </Alert>
         )}
-        <form onSubmit={handleSubmit}>
-          <TextField
-            label="Email"
-            fullWidth
-            margin="normal"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            required
-            variant="outlined"
-            sx={{ mb: 2 }}
-          />
-          <TextField
-            label="Password"
-            type="password"
-            fullWidth
-            margin="normal"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            required
-            variant="outlined"
-            sx={{ mb: 2 }}
-          />
-          <Button
-            type="submit"
-            variant="contained"
-            color="primary"
-            fullWidth
-            sx={{ py: 1.5 }}
-          >
-            Login
-          </Button>
-        </form>
+        {info && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {info}
+          </Alert>
+        )}
+        {challenge ? (
+          <form onSubmit={handleCodeSubmit}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when setting up two-factor authentication.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </Typography>
+            <TextField
+              label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              fullWidth
+              margin="normal"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              autoFocus
+              autoComplete="one-time-code"
+              variant="outlined"
+              sx={{ mb: 2 }}
+            />
+            <Button type="submit" variant="contained" color="primary" fullWidth sx={{ py: 1.5 }}>
+              Verify
+            </Button>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+              <Link component="button" type="button" variant="body2" onClick={() => setUseRecoveryCode(!useRecoveryCode)}>
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </Link>
+              <Link component="button" type="button" variant="body2" onClick={cancelTwoFactor}>
+                Back
+              </Link>
+            </Box>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <TextField
+              label="Email"
+              fullWidth
+              margin="normal"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              variant="outlined"
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="Password"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              variant="outlined"
+              sx={{ mb: 2 }}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              color="primary"
+              fullWidth
+              sx={{ py: 1.5 }}
+            >
+              Login
+            </Button>
+            {sso?.enabled && (
+              <>
+                <Divider sx={{ my: 2 }}>or</Divider>
+                <Button variant="outlined" fullWidth onClick={handleSso} sx={{ py: 1.5 }}>
+                  {sso.label}
+                </Button>
+              </>
+            )}
+          </form>
+        )}
+        <Typography variant="body2" align="center" sx={{ mt: 2 }}>
+          <Link component={RouterLink} to="/forgot-password">
+            Forgot password?
+          </Link>
+        </Typography>
       </Box>
     </Container>
   );
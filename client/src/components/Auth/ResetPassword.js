@@ -0,0 +1,99 @@
+// client/src/components/Auth/ResetPassword.js
+import { useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { TextField, Button, Container, Typography, Box, Alert, Link } from '@mui/material';
+import axios from '../../axios';
+
+function ResetPassword() {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    try {
+      const res = await axios.post('/api/users/reset-password', { token, password });
+      setMessage(res.data.msg);
+    } catch (error) {
+      setError(error.response?.data?.msg || 'Failed to reset password');
+    }
+  };
+
+  return (
+    <Container
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        bgcolor: '#f5f5f5',
+      }}
+    >
+      <Box
+        sx={{
+          width: '100%',
+          maxWidth: 400,
+          p: 4,
+          boxShadow: 3,
+          borderRadius: 2,
+          bgcolor: 'white',
+        }}
+      >
+        <Typography variant="h4" align="center" gutterBottom>
+          Reset Password
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {message ? (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <TextField
+              label="New Password"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              variant="outlined"
+            />
+            <TextField
+              label="Confirm New Password"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              variant="outlined"
+              sx={{ mb: 2 }}
+            />
+            <Button type="submit" variant="contained" color="primary" fullWidth sx={{ py: 1.5 }}>
+              Reset Password
+            </Button>
+          </form>
+        )}
+        <Typography variant="body2" align="center" sx={{ mt: 2 }}>
+          <Link component={RouterLink} to="/login">
+            Back to login
+          </Link>
+        </Typography>
+      </Box>
+    </Container>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,69 @@
+// client/src/components/Auth/VerifyEmail.js
+import { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { Container, Typography, Box, Alert, Link, CircularProgress } from '@mui/material';
+import axios from '../../axios';
+
+function VerifyEmail() {
+  const { token } = useParams();
+  const [status, setStatus] = useState({ loading: true, error: '', message: '' });
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single use, so only ever submit once
+    if (requested.current) return;
+    requested.current = true;
+    axios
+      .get(`/api/users/verify/${token}`)
+      .then((res) => setStatus({ loading: false, error: '', message: res.data.msg }))
+      .catch((err) =>
+        setStatus({ loading: false, error: err.response?.data?.msg || 'Verification failed', message: '' })
+      );
+  }, [token]);
+
+  return (
+    <Container
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        bgcolor: '#f5f5f5',
+      }}
+    >
+      <Box
+        sx={{
+          width: '100%',
+          maxWidth: 400,
+          p: 4,
+          boxShadow: 3,
+          borderRadius: 2,
+          bgcolor: 'white',
+          textAlign: 'center',
+        }}
+      >
+        <Typography variant="h4" gutterBottom>
+          Email Verification
+        </Typography>
+        {status.loading && <CircularProgress sx={{ my: 2 }} />}
+        {status.error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {status.error}
+          </Alert>
+        )}
+        {status.message && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {status.message}
+          </Alert>
+        )}
+        <Typography variant="body2" sx={{ mt: 2 }}>
+          <Link component={RouterLink} to="/login">
+            Go to login
+          </Link>
+        </Typography>
+      </Box>
+    </Container>
+  );
+}
+
+export default VerifyEmail;
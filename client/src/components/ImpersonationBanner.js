@@ -0,0 +1,42 @@
+// client/src/components/ImpersonationBanner.js
+import { useContext, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Alert, Button } from '@mui/material';
+import { AuthContext } from '../context/AuthContext';
+
+// Shown on every page while an admin is signed in as someone else
+function ImpersonationBanner() {
+  const { user, stopImpersonating } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+
+  if (!user?.impersonatedBy) return null;
+
+  const handleReturn = async () => {
+    try {
+      await stopImpersonating();
+      navigate('/admin');
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to return to your account');
+    }
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      variant="filled"
+      square
+      sx={{ position: 'sticky', top: 0, zIndex: (theme) => theme.zIndex.appBar + 1 }}
+      action={
+        <Button color="inherit" size="small" onClick={handleReturn}>
+          Return to my account
+        </Button>
+      }
+    >
+      You are signed in as {user.name}. Actions are recorded as {user.impersonatedBy.name}'s.
+      {error && ` ${error}`}
+    </Alert>
+  );
+}
+
+export default ImpersonationBanner;
@@ -1,54 +1,114 @@
 // client/src/context/AuthContext.js
 import { createContext, useState, useEffect } from 'react';
-import axios from '../axios'; // from src/context/AuthContext.js
-import { jwtDecode } from "jwt-decode";
+import axios, { setAuthListener } from '../axios'; // from src/context/AuthContext.js
 
 export const AuthContext = createContext();
 
+// What the app keeps about the signed-in user
+const toSessionUser = (data) => ({
+  id: data.id,
+  name: data.name,
+  role: data.role,
+  permissions: data.permissions || [],
+  twoFactorSetupRequired: !!data.twoFactorSetupRequired,
+  impersonatedBy: data.impersonatedBy || null, // the admin behind an impersonation
+});
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    if (token) {
+    // Keep the context in sync with refreshes done by the axios interceptor
+    setAuthListener((event, data) => {
+      if (event === 'refreshed') {
+        setUser(toSessionUser(data.user));
+      } else if (event === 'expired') {
+        setUser(null);
+      }
+    });
+
+    const restoreSession = async () => {
       try {
-        const decoded = jwtDecode(token);
-        if (decoded.exp * 1000 > Date.now()) {
-          setUser({ id: decoded.id, role: decoded.role });
-          axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-        } else {
-          localStorage.removeItem('token');
-        }
+        // An expired or missing access token is refreshed by the interceptor
+        const res = await axios.get('/api/users/me');
+        setUser(toSessionUser(res.data));
       } catch (error) {
         localStorage.removeItem('token');
       }
-    }
-    setLoading(false);
+      setLoading(false);
+    };
+    restoreSession();
+
+    return () => setAuthListener(null);
   }, []);
 
+  // Throws on failure so the caller can show the server's reason. With 2FA on,
+  // resolves to { twoFactorRequired, challenge } to pass to completeTwoFactor.
   const login = async (email, password) => {
+    const res = await axios.post('/api/users/login', { email, password });
+    if (res.data.twoFactorRequired) return res.data;
+    localStorage.setItem('token', res.data.token);
+    const loggedIn = toSessionUser(res.data.user);
+    setUser(loggedIn);
+    return loggedIn;
+  };
+
+  // Second login step: { code } from the authenticator app or { recoveryCode }
+  const completeTwoFactor = async (challenge, proof) => {
+    const res = await axios.post('/api/users/login/2fa', { challenge, ...proof });
+    localStorage.setItem('token', res.data.token);
+    const loggedIn = toSessionUser(res.data.user);
+    setUser(loggedIn);
+    return loggedIn;
+  };
+
+  // Pick up changes to the signed-in user's own profile (e.g. after enabling 2FA)
+  const updateUser = (data) => setUser(toSessionUser(data));
+
+  // Redeeming an invite creates the account and signs it in
+  const acceptInvite = async (token, name, password) => {
+    const res = await axios.post(`/api/invites/accept/${token}`, { name, password });
+    localStorage.setItem('token', res.data.token);
+    const loggedIn = toSessionUser(res.data.user);
+    setUser(loggedIn);
+    return loggedIn;
+  };
+
+  // Act as another user with a short-lived token; the admin's own session stays
+  // in the refresh cookie, so it also comes back by itself once that token expires
+  const impersonate = async (userId) => {
+    const res = await axios.post(`/api/users/${userId}/impersonate`);
+    localStorage.setItem('token', res.data.token);
+    setUser(toSessionUser(res.data.user));
+  };
+
+  const stopImpersonating = async () => {
+    const res = await axios.post('/api/users/impersonate/stop');
+    localStorage.setItem('token', res.data.token);
+    const admin = toSessionUser(res.data.user);
+    setUser(admin);
+    return admin;
+  };
+
+  const logout = async () => {
     try {
-      const res = await axios.post('/api/users/login', { email, password });
-      localStorage.setItem('token', res.data.token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${res.data.token}`;
-      setUser({ id: res.data.user.id, role: res.data.user.role });
-      return true;
+      await axios.post('/api/users/logout'); // revoke the session server-side
     } catch (error) {
-      console.error('Login error:', error.response?.data?.msg || error.message);
-      return false;
+      console.error('Logout error:', error.response?.data?.msg || error.message);
     }
-  };
-
-  const logout = () => {
     localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
     setUser(null);
   };
 
+  // Does the signed-in user's role grant this permission?
+  const can = (permission) => !!user?.permissions.includes(permission);
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout }}>
+    <AuthContext.Provider
+      value={{ user, loading, login, completeTwoFactor, acceptInvite, logout, can, updateUser, impersonate, stopImpersonating }}
+    >
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
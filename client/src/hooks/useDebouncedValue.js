@@ -0,0 +1,16 @@
+// client/src/hooks/useDebouncedValue.js
+import { useState, useEffect } from 'react';
+
+// The value, but only once it has stopped changing for `delay` ms
+function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+export default useDebouncedValue;
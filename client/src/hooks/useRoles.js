@@ -0,0 +1,25 @@
+// client/src/hooks/useRoles.js
+import { useState, useEffect, useCallback } from 'react';
+import axios from '../axios';
+
+// Loads the role list used by role pickers and filters
+function useRoles() {
+  const [roles, setRoles] = useState([]);
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/roles');
+      setRoles(res.data);
+    } catch (error) {
+      console.error('Fetch roles error:', error.response?.data?.msg || error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  return { roles, fetchRoles };
+}
+
+export default useRoles;
@@ -0,0 +1,72 @@
+// client/src/hooks/useUserEvents.js
+import { useEffect, useRef } from 'react';
+import axios, { refreshSession } from '../axios';
+
+const RETRY_MS = 5000;
+
+// One "event: ...\ndata: {...}" block -> the parsed data (comments and retry lines have none)
+const parseBlock = (block) => {
+  const data = block
+    .split('\n')
+    .filter((line) => line.startsWith('data:'))
+    .map((line) => line.slice(5).trim())
+    .join('\n');
+  return data ? JSON.parse(data) : null;
+};
+
+// Calls onEvent for every user change from GET /api/events/users while enabled.
+// EventSource can't send the Authorization header, so the stream is read with
+// fetch; an expired token is refreshed once (sharing the interceptor's refresh)
+// and dropped connections retried.
+function useUserEvents(onEvent, enabled = true) {
+  const handler = useRef(onEvent);
+  useEffect(() => {
+    handler.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const controller = new AbortController();
+    let retryTimer;
+
+    const connect = async (refreshed = false) => {
+      try {
+        const token = localStorage.getItem('token');
+        const res = await fetch(`${axios.defaults.baseURL}/api/events/users`, {
+          headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+          credentials: 'include',
+          signal: controller.signal,
+        });
+        if (res.status === 401 && !refreshed) {
+          // Through the shared refresh, and only if nobody has refreshed since we connected
+          if (localStorage.getItem('token') === token) await refreshSession();
+          return connect(true);
+        }
+        if (!res.ok) throw new Error(`status ${res.status}`);
+
+        const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += value;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop(); // an incomplete block waits for the next chunk
+          blocks.map(parseBlock).filter(Boolean).forEach((event) => handler.current(event));
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('User events error:', error.message);
+      }
+      if (!controller.signal.aborted) retryTimer = setTimeout(connect, RETRY_MS);
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [enabled]);
+}
+
+export default useUserEvents;
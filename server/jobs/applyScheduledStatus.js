@@ -0,0 +1,49 @@
+// jobs/applyScheduledStatus.js
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { diffFields } = require('../utils/audit');
+const { revokeUserSessions } = require('../utils/tokens');
+const { publishUserEvent } = require('../utils/userEvents');
+
+// Apply activations and deactivations whose scheduled time has come. Login and
+// auth already honour a due schedule (User#isActiveNow); this makes it stick.
+const applyScheduledStatus = async () => {
+  const now = new Date();
+  const due = await User.find({
+    deletedAt: null,
+    $or: [{ activateAt: { $ne: null, $lte: now } }, { deactivateAt: { $ne: null, $lte: now } }],
+  }).select('-password');
+
+  let applied = 0;
+  for (const target of due) {
+    const isActive = target.isActiveNow(now);
+    const cleared = {
+      ...(target.activateAt && target.activateAt <= now && { activateAt: null }),
+      ...(target.deactivateAt && target.deactivateAt <= now && { deactivateAt: null }),
+    };
+    // Skip users an admin edited since they were loaded; the next run picks them up
+    const user = await User.findOneAndUpdate(
+      { _id: target._id, __v: target.__v },
+      { ...cleared, isActive },
+      { new: true }
+    ).select('-password');
+    if (!user) continue;
+
+    if (target.isActive && !isActive) await revokeUserSessions(user._id, 'user-deactivated');
+    // Nobody performed this by hand, so the event has no actor
+    await AuditEvent.create({
+      action: 'user.scheduled_status',
+      target: user._id,
+      targetLabel: user.email,
+      actorEmail: 'system',
+      changes: diffFields(target, user),
+    });
+    publishUserEvent('updated', user, null);
+    applied++;
+  }
+
+  if (applied) console.log(`Applied scheduled status changes to ${applied} user(s).`);
+  return applied;
+};
+
+module.exports = applyScheduledStatus;
@@ -0,0 +1,27 @@
+// jobs/index.js
+const purgeDeletedUsers = require('./purgeDeletedUsers');
+const applyScheduledStatus = require('./applyScheduledStatus');
+
+// Background jobs run inside the API process: [job, interval in ms]
+const jobs = [
+  [purgeDeletedUsers, 60 * 60 * 1000], // hourly
+  [applyScheduledStatus, 5 * 60 * 1000], // every 5 minutes
+];
+
+const run = async (job) => {
+  try {
+    await job();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error.message);
+  }
+};
+
+// Run each job once now, then on its interval
+const startJobs = () => {
+  jobs.forEach(([job, interval]) => {
+    run(job);
+    setInterval(() => run(job), interval).unref();
+  });
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,40 @@
+// jobs/purgeDeletedUsers.js
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const SavedView = require('../models/SavedView');
+const AuditEvent = require('../models/AuditEvent');
+const { publishUserEvent } = require('../utils/userEvents');
+
+const RETENTION_DAYS = parseInt(process.env.USER_RETENTION_DAYS) || 30;
+
+// Hard-delete users that have been in the trash longer than the retention period
+const purgeDeletedUsers = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('email deletedAt');
+  if (expired.length === 0) return 0;
+
+  const ids = expired.map((user) => user._id);
+  await User.deleteMany({ _id: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await ApiKey.deleteMany({ user: { $in: ids } });
+  await SavedView.deleteMany({ owner: { $in: ids } });
+
+  // Nobody performed this by hand, so the events have no actor
+  await AuditEvent.insertMany(
+    expired.map((user) => ({
+      action: 'user.purge',
+      target: user._id,
+      targetLabel: user.email,
+      actorEmail: 'system',
+      metadata: { deletedAt: user.deletedAt, retentionDays: RETENTION_DAYS },
+    }))
+  );
+
+  expired.forEach((user) => publishUserEvent('deleted', user, null));
+
+  console.log(`Purged ${expired.length} user(s) deleted more than ${RETENTION_DAYS} days ago.`);
+  return expired.length;
+};
+
+module.exports = purgeDeletedUsers;
@@ -0,0 +1,24 @@
+// mail/index.js
+const { createTransport, registerTransport } = require('./transports');
+
+let transport;
+
+// Transport is picked once from MAIL_TRANSPORT (smtp | file | console)
+const getTransport = () => {
+  if (!transport) transport = createTransport(process.env.MAIL_TRANSPORT || 'console');
+  return transport;
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || 'User Admin <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+
+// Links in emails point at the React client
+const clientUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${pathname}`;
+
+module.exports = { sendMail, clientUrl, registerTransport };
@@ -0,0 +1,25 @@
+// mail/templates.js
+
+// Names are user-supplied, so never drop them into HTML unescaped
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const passwordReset = ({ name, url, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: `Hi ${name},\n\nSomeone (hopefully you) asked to reset your password. Use the link below within ${expiresInMinutes} minutes:\n\n${url}\n\nIf you didn't ask for this, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Someone (hopefully you) asked to reset your password. Use the link below within ${expiresInMinutes} minutes:</p><p><a href="${url}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`,
+});
+
+const emailVerification = ({ name, url, expiresInHours }) => ({
+  subject: 'Verify your email address',
+  text: `Hi ${name},\n\nPlease confirm your email address by opening the link below within ${expiresInHours} hours:\n\n${url}\n\nIf you didn't create an account, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address by opening the link below within ${expiresInHours} hours:</p><p><a href="${url}">Verify email</a></p><p>If you didn't create an account, you can ignore this email.</p>`,
+});
+
+const invitation = ({ inviterName, role, url, expiresAt }) => ({
+  subject: "You've been invited to User Management",
+  text: `Hi,\n\n${inviterName} has invited you to join as ${role}. Set up your account using the link below before ${expiresAt.toUTCString()}:\n\n${url}`,
+  html: `<p>Hi,</p><p>${escapeHtml(inviterName)} has invited you to join as ${escapeHtml(role)}. Set up your account using the link below before ${expiresAt.toUTCString()}:</p><p><a href="${url}">Accept invitation</a></p>`,
+});
+
+module.exports = { passwordReset, emailVerification, invitation };
@@ -0,0 +1,51 @@
+// mail/transports.js
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every transport exposes send({ from, to, subject, text, html })
+
+// Real delivery through any SMTP relay
+const smtp = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+// Writes each message as a JSON file, handy for local dev and tests
+const file = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '.tmp', 'mail');
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+      await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+    },
+  };
+};
+
+// Prints messages to the server log
+const console_ = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+const transports = { smtp, file, console: console_ };
+
+// Allow other backends (SES, SendGrid, ...) to be plugged in by name
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+const createTransport = (name) => {
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown mail transport "${name}"`);
+  return factory();
+};
+
+module.exports = { createTransport, registerTransport };
@@ -1,20 +1,66 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');  // <-- Import User model
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const { verificationPolicy } = require('../utils/verification');
+const { twoFactorRequiredFor } = require('../utils/twoFactor');
+
+// X-API-Key: a personal key stands in for its owner, limited to its scopes
+// (see requirePermission). There is no session behind it, so req.session is null.
+const authenticateApiKey = async (req, res, next, presented) => {
+    const key = await ApiKey.findByKey(presented);
+    if (!key || !key.isActive()) return res.status(401).json({ msg: 'API key is not valid' });
+
+    const user = await User.findById(key.user).select('-password');
+    if (!user || user.deletedAt) return res.status(401).json({ msg: 'API key is not valid' });
+    if (!user.isActiveNow()) return res.status(401).json({ msg: 'Account has been deactivated', code: 'ACCOUNT_INACTIVE' });
+    await key.touch(req.ip);
+
+    req.user = user;
+    req.actor = user;
+    req.impersonating = false;
+    req.apiKey = key;
+    req.session = null;
+    next();
+};
 
 const auth = async (req, res, next) => {
     try {
+        const apiKey = req.header('X-API-Key');
+        if (apiKey) return await authenticateApiKey(req, res, next, apiKey);
+
         const token = req.header('Authorization')?.replace('Bearer ', '');
         if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
 
         // Verify JWT
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Reject tokens whose session was revoked (logout, reuse detection)
+        const session = await Session.findById(decoded.sid);
+        if (!session || !session.isActive()) return res.status(401).json({ msg: 'Session has been revoked' });
+        // Impersonation tokens belong to the admin's session and name them in "act"
+        const actorId = decoded.act?.sub;
+        if (!session.user.equals(actorId || decoded.id)) return res.status(401).json({ msg: 'Token is not valid' });
+
         // Find user by decoded ID
         const user = await User.findById(decoded.id).select('-password');
-        if (!user) return res.status(401).json({ msg: 'Token is not valid' });
+        if (!user || user.deletedAt) return res.status(401).json({ msg: 'Token is not valid' });
+        // Deactivated accounts lose access at once, not when their token expires
+        if (!user.isActiveNow()) return res.status(401).json({ msg: 'Account has been deactivated', code: 'ACCOUNT_INACTIVE' });
+
+        // req.user is who the request acts as, req.actor who is really behind it
+        let actor = user;
+        if (actorId) {
+            actor = await User.findById(actorId).select('-password');
+            if (!actor || actor.deletedAt || !actor.isActiveNow()) return res.status(401).json({ msg: 'Token is not valid' });
+        }
 
         req.user = user; // Attach user to request
+        req.actor = actor;
+        req.impersonating = actor !== user;
+        req.session = session;
         next();
     } catch (error) {
         console.error("Auth error:", error.message);
@@ -22,12 +68,45 @@ const auth = async (req, res, next) => {
     }
 };
 
-// Admin-only middleware
-const adminAuth = (req, res, next) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ msg: 'Admin access required' });
+// Permission middleware: requirePermission('users:read', ...) lets the request
+// through only if the user's role grants every listed permission
+const requirePermission = (...permissions) => async (req, res, next) => {
+    try {
+        if (!req.permissions) {
+            const granted = await Role.permissionsFor(req.user.role);
+            // A key never reaches past its scopes, nor past a role that has shrunk since
+            req.permissions = req.apiKey ? granted.filter((permission) => req.apiKey.scopes.includes(permission)) : granted;
+        }
+
+        const missing = permissions.filter((permission) => !req.permissions.includes(permission));
+        if (missing.length) {
+            return res.status(403).json({ msg: `Missing permission: ${missing.join(', ')}` });
+        }
+        // Unverified accounts keep self-service access only
+        if (!req.user.emailVerified && verificationPolicy() !== 'off') {
+            return res.status(403).json({ msg: 'Please verify your email to access admin features', code: 'EMAIL_NOT_VERIFIED' });
+        }
+        if (!req.user.twoFactorEnabled && twoFactorRequiredFor(req.permissions)) {
+            return res.status(403).json({ msg: 'Set up two-factor authentication to access admin features', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ msg: 'Server error' });
+    }
+};
+
+// For routes an impersonating admin must not use (passwords, 2FA, impersonating again)
+const notWhileImpersonating = (req, res, next) => {
+    if (req.impersonating) {
+        return res.status(403).json({ msg: 'Not allowed while impersonating a user', code: 'IMPERSONATING' });
     }
     next();
 };
 
-module.exports = { auth, adminAuth };
+// For routes that need a signed-in session rather than an API key (credentials, keys, impersonation)
+const requireSession = (req, res, next) => {
+    if (!req.session) return res.status(403).json({ msg: 'Not available when using an API key', code: 'SESSION_REQUIRED' });
+    next();
+};
+
+module.exports = { auth, requirePermission, notWhileImpersonating, requireSession };
@@ -0,0 +1,60 @@
+// middleware/rateLimit.js
+// Fixed-window request limiting. Counters live in a store so a shared backend
+// (e.g. Redis) can replace the in-memory one when running several processes.
+
+// Store interface: increment(key, windowMs) -> { count, resetAt }, reset(key)
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    this.prune(now);
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  // Drop expired windows now and then so the map can't grow without bound
+  prune(now) {
+    if (this.hits.size < 10000) return;
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+// Swap the backend used by limiters that don't pass their own store
+const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, store, msg = 'Too many requests, please try again later' }) =>
+  async (req, res, next) => {
+    try {
+      const { count, resetAt } = await (store || defaultStore).increment(`${name}:${key(req)}`, windowMs);
+      if (count > max) {
+        const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ msg, code: 'RATE_LIMITED', retryAfter });
+      }
+      next();
+    } catch (error) {
+      // A broken store shouldn't take logins down with it
+      console.error('Rate limit store error:', error.message);
+      next();
+    }
+  };
+
+module.exports = { rateLimit, setRateLimitStore, MemoryStore };
@@ -0,0 +1,33 @@
+// middleware/validate.js
+const OPTIONS = {
+  abortEarly: false, // report every bad field, not just the first
+  stripUnknown: true, // fields a route doesn't declare never reach it
+  errors: { wrap: { label: false } },
+};
+
+// Joi error -> { field: message }, keeping the first message for each field
+const fieldErrors = (error, part) =>
+  error.details.reduce((errors, detail) => {
+    const field = detail.path.join('.') || detail.context.key || part;
+    if (!errors[field]) errors[field] = detail.message;
+    return errors;
+  }, {});
+
+// validate({ params, query, body }) checks each part of the request against its Joi
+// schema and swaps in the cleaned value (trimmed, converted, unknown keys removed).
+// Failures get a 400 with the first message as msg and every field in errors.
+const validate = (schemas) => (req, res, next) => {
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+    const { value, error } = schemas[part].validate(req[part] ?? {}, OPTIONS);
+    if (error) {
+      const errors = fieldErrors(error, part);
+      return res.status(400).json({ msg: Object.values(errors)[0], errors });
+    }
+    // Express 5 exposes req.query through a getter, so define rather than assign
+    Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'uak_';
+const LAST_USED_PRECISION_MS = 60 * 1000; // lastUsedAt is written at most once a minute per key
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+
+// Schema: A personal API key, sent in the X-API-Key header instead of a Bearer token.
+// Only a hash is stored; the raw key is shown once, when it is created.
+
+const apiKeySchema = new mongoose.Schema(
+
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+        },
+        keyHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        prefix: {
+            type: String, // First characters of the key, so people can tell keys apart
+            required: true,
+        },
+        scopes: {
+            type: [String], // Permissions the key may use, within what the owner's role grants
+            default: [],
+        },
+        expiresAt: {
+            type: Date, // null = never expires
+            default: null,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+        lastUsedIp: String,
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+
+    },
+    {
+        timestamps: true
+    }
+
+);
+
+// Method: A key works until it is revoked or expires
+apiKeySchema.methods.isActive = function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method: Note that the key was just used, without a write on every request
+apiKeySchema.methods.touch = async function (ip) {
+    if (this.lastUsedAt && Date.now() - this.lastUsedAt < LAST_USED_PRECISION_MS) return;
+    this.lastUsedAt = new Date();
+    this.lastUsedIp = ip;
+    await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt, lastUsedIp: ip });
+};
+
+// Static: A new random key; returns the raw key (to show once) and what to store
+apiKeySchema.statics.generate = function () {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, keyHash: hashKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+};
+
+// Static: Find the key a raw X-API-Key value belongs to
+apiKeySchema.statics.findByKey = function (key) {
+    return this.findOne({ keyHash: hashKey(key) });
+};
+
+// Export the model
+module.exports = mongoose.model('ApiKey', apiKeySchema);
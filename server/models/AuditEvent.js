@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+
+// Schema: Append-only record of who did what to whom
+
+const auditEventSchema = new mongoose.Schema(
+
+    {
+        action: {
+            type: String, // e.g. 'user.update', 'user.login_failed', 'role.delete'
+            required: true,
+            index: true,
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId, // Empty for anonymous attempts (unknown email)
+            ref: 'User',
+            index: true,
+        },
+        actorEmail: String, // Kept so the log still reads well after the actor is deleted
+        targetType: {
+            type: String,
+            enum: ['user', 'role', 'invite'],
+            default: 'user',
+        },
+        target: {
+            type: mongoose.Schema.Types.ObjectId,
+            index: true,
+        },
+        targetLabel: String, // Email or name of the target at the time
+        changes: [
+            {
+                _id: false,
+                field: String,
+                before: mongoose.Schema.Types.Mixed,
+                after: mongoose.Schema.Types.Mixed,
+            },
+        ],
+        ip: String,
+        userAgent: String,
+        metadata: mongoose.Schema.Types.Mixed,
+
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+
+);
+
+auditEventSchema.index({ createdAt: -1 });
+
+// The log is append-only: refuse edits and deletes through the model
+const immutable = function (next) {
+    next(new Error('Audit events cannot be modified'));
+};
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], immutable);
+auditEventSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], immutable);
+auditEventSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Audit events cannot be modified'));
+    next();
+});
+
+// Export the model
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
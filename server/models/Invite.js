@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+
+// Schema: An admin-issued invitation to create an account with a pre-chosen role
+
+const inviteSchema = new mongoose.Schema(
+
+    {
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+            match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+        },
+        role: {
+            type: String, // Name of a Role document
+            default: 'user',
+            validate: {
+                validator: async (value) => !!(await mongoose.model('Role').exists({ name: value })),
+                message: (props) => `Role "${props.value}" does not exist`,
+            },
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        acceptedAt: Date,
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        revokedAt: Date,
+
+    },
+    {
+        timestamps: true
+    }
+
+);
+
+// Method: Still redeemable?
+inviteSchema.methods.isPending = function () {
+    return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static: Create an invite and return it with the raw token (only shown once)
+inviteSchema.statics.issue = async function ({ email, role, invitedBy, expiresInDays }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = await this.create({
+        email,
+        role,
+        invitedBy,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+    return { invite, token };
+};
+
+// Static: Find the pending invite a token belongs to
+inviteSchema.statics.findPendingByToken = function (token) {
+    return this.findOne({
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+// Export the model
+module.exports = mongoose.model('Invite', inviteSchema);
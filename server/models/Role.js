@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Every permission the API checks. Routes ask for these via requirePermission(...)
+const PERMISSIONS = [
+    'users:read',
+    'users:write',
+    'users:delete',
+    'users:impersonate',
+    'roles:manage',
+    'audit:read',
+];
+
+
+// Schema: A named set of permissions that users are assigned by name
+
+const roleSchema = new mongoose.Schema(
+
+    {
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^[a-z0-9_-]+$/, 'Name may only contain letters, numbers, "-" and "_"'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        permissions: {
+            type: [{ type: String, enum: PERMISSIONS }],
+            default: [],
+        },
+        isSystem: {
+            type: Boolean, // Seeded roles (admin, user) can't be renamed or deleted
+            default: false,
+        },
+
+    },
+    {
+        timestamps: true
+    }
+
+);
+
+// Static: Permissions granted by a role name (none for unknown roles)
+roleSchema.statics.permissionsFor = async function (name) {
+    const role = await this.findOne({ name }).select('permissions').lean();
+    return role ? role.permissions : [];
+};
+
+// Static: Can someone holding `permissions` hand out this role?
+// Nobody may grant more than they have themselves.
+roleSchema.statics.isAssignableBy = async function (name, permissions) {
+    const role = await this.findOne({ name }).select('permissions').lean();
+    return !!role && role.permissions.every((permission) => permissions.includes(permission));
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+// Export the model
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+
+// Schema: A named set of user-list filters and sort, private to the admin who saved it
+
+const savedViewSchema = new mongoose.Schema(
+
+    {
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: [60, 'Name must be at most 60 characters'],
+        },
+        params: {
+            type: Map, // Query-string parameters of GET /api/users, e.g. { q, role, sort }
+            of: String,
+            default: {},
+        },
+
+    },
+    {
+        timestamps: true
+    }
+
+);
+
+// One view per name for each admin
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+
+// Schema: One login = one session = one refresh-token family.
+// Only hashes of refresh tokens are stored; the raw value lives in the httpOnly cookie.
+
+const sessionSchema = new mongoose.Schema(
+
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        tokenHash: {
+            type: String, // Hash of the refresh token currently allowed to rotate
+            required: true,
+            unique: true,
+        },
+        previousTokenHashes: {
+            type: [String], // Already-rotated tokens, kept for reuse detection
+            default: [],
+            index: true,
+        },
+        rotatedAt: {
+            type: Date, // When tokenHash last changed; starts the grace period for the token it replaced
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String, // e.g. 'logout', 'reuse-detected'
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        ip: String,
+        userAgent: String,
+
+    },
+    {
+        timestamps: true
+    }
+
+);
+
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method: A session is usable until it is revoked or expires
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Export the model
+module.exports = mongoose.model('Session', sessionSchema);
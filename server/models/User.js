@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { twoFactorRequiredFor } = require('../utils/twoFactor');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_LOCKOUT_MAX_HOURS = 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 
 // Schema: Defines structure and validation
@@ -26,14 +36,95 @@ const userSchema = new mongoose.Schema(
             minlength: [6, 'Password must be at least 6 characters'],
         },
         role: {
-            type: String,
-            enum: ['user', 'admin'], // Only these roles
+            type: String, // Name of a Role document
             default: 'user',
+            validate: {
+                validator: async (value) => !!(await mongoose.model('Role').exists({ name: value })),
+                message: (props) => `Role "${props.value}" does not exist`,
+            },
         },
         isActive: {
             type: Boolean,
             default: true,
         },
+        activateAt: {
+            type: Date, // Scheduled activation, applied by jobs/applyScheduledStatus.js
+            default: null,
+        },
+        deactivateAt: {
+            type: Date, // Scheduled deactivation, e.g. a contractor's end date
+            default: null,
+        },
+        deletedAt: {
+            type: Date, // Set when moved to the trash; purged after the retention period
+            default: null,
+            index: true,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        lastLoginAt: {
+            type: Date,
+            default: null,
+        },
+        failedLoginAttempts: {
+            type: Number, // Consecutive failures since the last successful login
+            default: 0,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String, // TOTP shared secret, set once enrollment is confirmed
+            select: false,
+        },
+        twoFactorPendingSecret: {
+            type: String, // Secret shown during enrollment, not trusted until a code matches
+            select: false,
+        },
+        twoFactorRecoveryCodeHashes: {
+            type: [String],
+            select: false,
+        },
+        twoFactorLastStep: {
+            type: Number, // Time step of the last accepted code, so codes can't be replayed
+            select: false,
+        },
+        ssoSubject: {
+            type: String, // "<issuer>|<sub>" of the linked single sign-on identity
+            unique: true,
+            sparse: true,
+        },
+        ssoProvisioned: {
+            type: Boolean, // Created by an SSO login, so the provider's groups own its role
+            default: false,
+        },
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerificationTokenHash: {
+            type: String,
+            select: false,
+        },
+        emailVerificationExpires: {
+            type: Date,
+            select: false,
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false, // Never returned by queries unless asked for
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false,
+        },
 
     },
     {
@@ -41,6 +132,26 @@ const userSchema = new mongoose.Schema(
     }
 
 );
+// Full-text index for relevance-ranked search (sort=relevance); names weigh more than emails
+userSchema.index({ name: 'text', email: 'text' }, { name: 'user_text_search', weights: { name: 2, email: 1 } });
+
+// Fields admins edit; changing any of them bumps the version (__v) that
+// PUT /api/users/:id checks against If-Match, so concurrent edits conflict
+// instead of overwriting each other. Logins, lockouts etc. don't count.
+const VERSIONED_FIELDS = ['name', 'email', 'role', 'isActive', 'activateAt', 'deactivateAt'];
+
+userSchema.pre('save', function () {
+    if (!this.isNew && VERSIONED_FIELDS.some((field) => this.isModified(field))) this.increment();
+});
+
+userSchema.pre('findOneAndUpdate', function () {
+    const update = this.getUpdate() || {};
+    const changes = { ...update, ...update.$set };
+    if (VERSIONED_FIELDS.some((field) => changes[field] !== undefined)) {
+        this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+    }
+});
+
 userSchema.pre('save',
     async function (next) {
         if (!this.isModified('password')) return next();
@@ -54,5 +165,99 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method: Whether the account is active right now. A scheduled change that has
+// come due counts even before the job has applied it; if both have, the later wins.
+userSchema.methods.isActiveNow = function (now = new Date()) {
+    const due = [[this.activateAt, true], [this.deactivateAt, false]]
+        .filter(([at]) => at && at <= now)
+        .sort(([a], [b]) => a - b);
+    return due.length ? due[due.length - 1][1] : this.isActive;
+};
+
+// Method: Whether too many failed logins have locked the account for now
+userSchema.methods.isLocked = function () {
+    return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+// Method: Count a failed login; every attempt past the limit doubles the lockout
+userSchema.methods.registerFailedLogin = async function () {
+    const updated = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    ).select('failedLoginAttempts');
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+
+    const overLimit = this.failedLoginAttempts - LOGIN_MAX_ATTEMPTS;
+    if (overLimit >= 0) {
+        const minutes = Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** overLimit, LOGIN_LOCKOUT_MAX_HOURS * 60);
+        this.lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        await this.constructor.updateOne({ _id: this._id }, { lockedUntil: this.lockedUntil });
+    }
+    return this.lockedUntil;
+};
+
+// Method: Clear the failure counter and any lockout
+userSchema.methods.resetLoginAttempts = async function () {
+    if (this.failedLoginAttempts === 0 && !this.lockedUntil) return;
+    this.failedLoginAttempts = 0;
+    this.lockedUntil = null;
+    await this.constructor.updateOne({ _id: this._id }, { failedLoginAttempts: 0, lockedUntil: null });
+};
+
+// Method: What the client gets about the signed-in user, including what they may do
+userSchema.methods.toAuthJSON = async function () {
+    const permissions = await mongoose.model('Role').permissionsFor(this.role);
+    return {
+        id: this.id,
+        name: this.name,
+        email: this.email,
+        role: this.role,
+        emailVerified: this.emailVerified,
+        permissions,
+        twoFactorEnabled: this.twoFactorEnabled,
+        twoFactorSetupRequired: !this.twoFactorEnabled && twoFactorRequiredFor(permissions),
+    };
+};
+
+// Method: Issue a single-use reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetTokenHash = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    return token;
+};
+
+// Static: Find the user a (still valid) reset token belongs to; trashed users have none
+userSchema.statics.findByPasswordResetToken = function (token) {
+    return this.findOne({
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+        deletedAt: null,
+    });
+};
+
+// Method: Issue an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationTokenHash = hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    return token;
+};
+
+// Static: Find the user a (still valid) verification token belongs to
+userSchema.statics.findByEmailVerificationToken = function (token) {
+    return this.findOne({
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+        deletedAt: null,
+    });
+};
+
+userSchema.statics.PASSWORD_RESET_TTL_MINUTES = PASSWORD_RESET_TTL_MINUTES;
+userSchema.statics.EMAIL_VERIFICATION_TTL_HOURS = EMAIL_VERIFICATION_TTL_HOURS;
+userSchema.statics.VERSIONED_FIELDS = VERSIONED_FIELDS;
+userSchema.statics.LOGIN_MAX_ATTEMPTS = LOGIN_MAX_ATTEMPTS;
+
 // Export the model
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
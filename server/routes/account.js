@@ -0,0 +1,189 @@
+// routes/account.js
+const express = require('express');
+const router = express.Router();
+const { auth, notWhileImpersonating, requireSession } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/account');
+const { sendError } = require('../utils/httpErrors');
+const User = require('../models/User');
+const { revokeUserSessions } = require('../utils/tokens');
+const { sendVerificationEmail } = require('../utils/verification');
+const { recordAudit } = require('../utils/audit');
+const { publishUserEvent } = require('../utils/userEvents');
+const Role = require('../models/Role');
+const { createSecret, verifyTotp, generateRecoveryCodes, twoFactorRequiredFor } = require('../utils/twoFactor');
+
+// Fields a user may see about themselves, plus who is impersonating them if anyone
+const profile = async (user, req) => ({
+  ...(await user.toAuthJSON()),
+  isActive: user.isActive,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+  ...(req.impersonating && { impersonatedBy: { id: req.actor.id, name: req.actor.name, email: req.actor.email } }),
+});
+
+// @route   GET api/users/me
+// @desc    Get the signed-in user's profile
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  res.json(await profile(req.user, req));
+});
+
+// @route   PUT api/users/me
+// @desc    Update own name/email, or change password (requires current password).
+//          Only the name can be changed while impersonating.
+// @access  Private
+router.put('/', auth, requireSession, validate(schemas.updateProfile), async (req, res) => {
+  try {
+    // Only these fields are self-editable (the schema drops role, isActive and the rest)
+    const { name, email, currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    const before = user.toObject();
+
+    if (newPassword) {
+      if (req.impersonating) {
+        return res.status(403).json({ msg: 'Passwords cannot be changed while impersonating a user', code: 'IMPERSONATING' });
+      }
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        const msg = 'Current password is incorrect';
+        return res.status(400).json({ msg, errors: { currentPassword: msg } });
+      }
+      user.password = newPassword; // hashed by the pre-save hook
+    }
+
+    if (email && email !== user.email) {
+      // A new address would let whoever is impersonating reset the password through it
+      if (req.impersonating) {
+        const msg = 'Email cannot be changed while impersonating a user';
+        return res.status(403).json({ msg, code: 'IMPERSONATING', errors: { email: msg } });
+      }
+      if (await User.exists({ email })) {
+        const msg = 'Email is already in use';
+        return res.status(409).json({ msg, errors: { email: msg } });
+      }
+      user.email = email;
+      user.emailVerified = false; // the new address has to be confirmed again
+    }
+    if (name) user.name = name;
+
+    const emailChanged = user.isModified('email');
+    await user.save();
+
+    if (emailChanged) {
+      sendVerificationEmail(user).catch((mailError) => console.error('Verification mail error:', mailError.message));
+    }
+
+    // A new password signs out every other device
+    if (newPassword) await revokeUserSessions(user._id, 'password-change', req.session._id);
+
+    await recordAudit(req, {
+      action: 'user.update',
+      target: user,
+      before,
+      after: user,
+      metadata: { self: true, passwordChanged: !!newPassword },
+    });
+    publishUserEvent('updated', user, req.actor);
+
+    res.json(await profile(user, req));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/me/2fa/setup
+// @desc    Start 2FA enrollment: new secret and QR code for an authenticator app
+// @access  Private
+router.post('/2fa/setup', auth, requireSession, notWhileImpersonating, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+
+    const { secret, otpauthUrl, qrCode } = await createSecret(req.user);
+    await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/me/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns recovery codes once
+// @access  Private
+router.post('/2fa/enable', auth, requireSession, notWhileImpersonating, validate(schemas.enableTwoFactor), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (user.twoFactorEnabled) return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    if (!user.twoFactorPendingSecret) return res.status(400).json({ msg: 'Start the setup first' });
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) return res.status(400).json({ msg: 'Invalid authentication code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodeHashes = hashes;
+    user.twoFactorLastStep = step;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'user.2fa_enable', target: user });
+    publishUserEvent('updated', user, req.actor);
+
+    res.json({ recoveryCodes: codes, user: await profile(user, req) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/me/2fa/disable
+// @desc    Turn 2FA off (requires current password; refused when the policy requires it)
+// @access  Private
+router.post('/2fa/disable', auth, requireSession, notWhileImpersonating, validate(schemas.confirmPassword), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactorEnabled) return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ msg: 'Password is incorrect' });
+    }
+    if (twoFactorRequiredFor(await Role.permissionsFor(user.role))) {
+      return res.status(400).json({ msg: 'Two-factor authentication is required for your role' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodeHashes = undefined;
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'user.2fa_disable', target: user, metadata: { self: true } });
+    publishUserEvent('updated', user, req.actor);
+
+    res.json(await profile(user, req));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/me/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires current password)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, requireSession, notWhileImpersonating, validate(schemas.confirmPassword), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactorEnabled) return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ msg: 'Password is incorrect' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodeHashes = hashes;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'user.2fa_recovery_codes', target: user, metadata: { self: true } });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
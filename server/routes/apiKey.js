@@ -0,0 +1,90 @@
+// routes/apiKey.js
+const express = require('express');
+const router = express.Router();
+const { auth, requireSession, notWhileImpersonating } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/apiKey');
+const { sendError } = require('../utils/httpErrors');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const { recordAudit } = require('../utils/audit');
+
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_PER_USER) || 20;
+
+// Keys are managed from a signed-in browser only, so a leaked key can't mint more
+const signedIn = [auth, requireSession, notWhileImpersonating];
+
+// What the owner sees about a key; the hash never leaves the server
+const apiKeyJSON = (key) => ({
+  _id: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  expiresAt: key.expiresAt,
+  lastUsedAt: key.lastUsedAt,
+  lastUsedIp: key.lastUsedIp,
+  createdAt: key.createdAt,
+});
+
+// @route   GET api/users/me/api-keys
+// @desc    List your API keys that haven't been revoked (expired ones included)
+// @access  Private (signed-in session)
+router.get('/', signedIn, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+    res.json(keys.map(apiKeyJSON));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/me/api-keys
+// @desc    Create an API key: { name, scopes?, expiresAt? }. scopes default to
+//          everything your role grants and can't exceed it. The key itself is
+//          only in this response; send it as the X-API-Key header.
+// @access  Private (signed-in session)
+router.post('/', signedIn, validate(schemas.create), async (req, res) => {
+  try {
+    const { name, expiresAt } = req.body;
+    const granted = await Role.permissionsFor(req.user.role);
+    const scopes = req.body.scopes || granted;
+    const beyond = scopes.filter((permission) => !granted.includes(permission));
+    if (beyond.length) {
+      const msg = `Your role does not grant: ${beyond.join(', ')}`;
+      return res.status(403).json({ msg, errors: { scopes: msg } });
+    }
+
+    if ((await ApiKey.countDocuments({ user: req.user._id, revokedAt: null })) >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({ msg: `You can have at most ${MAX_KEYS_PER_USER} API keys; revoke one first` });
+    }
+
+    const { key, keyHash, prefix } = ApiKey.generate();
+    const apiKey = await ApiKey.create({ user: req.user._id, name, keyHash, prefix, scopes, expiresAt });
+    await recordAudit(req, { action: 'user.api_key_create', target: req.user, metadata: { name, prefix, scopes, expiresAt } });
+
+    res.status(201).json({ key, apiKey: apiKeyJSON(apiKey) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE api/users/me/api-keys/:id
+// @desc    Revoke one of your API keys; it stops working immediately
+// @access  Private (signed-in session)
+router.delete('/:id', signedIn, validate(schemas.byId), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!apiKey) return res.status(404).json({ msg: 'API key not found' });
+    await recordAudit(req, { action: 'user.api_key_revoke', target: req.user, metadata: { name: apiKey.name, prefix: apiKey.prefix } });
+
+    res.json({ msg: 'API key revoked' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
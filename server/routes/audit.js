@@ -0,0 +1,52 @@
+// routes/audit.js
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/audit');
+const AuditEvent = require('../models/AuditEvent');
+const { escapeRegex } = require('../utils/regex');
+
+// Helper for building query (actor, target, action, date range, search) from the validated query
+const buildQuery = (req) => {
+  const query = {};
+  if (req.query.actor) query.actor = req.query.actor;
+  if (req.query.target) query.target = req.query.target;
+  const actions = [].concat(req.query.action || []).flatMap((action) => action.split(',')).filter(Boolean);
+  if (actions.length) query.action = { $in: actions };
+  if (req.query.from) query.createdAt = { ...query.createdAt, $gte: req.query.from };
+  if (req.query.to) query.createdAt = { ...query.createdAt, $lte: req.query.to };
+  if (req.query.search) {
+    const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+    query.$or = [{ actorEmail: pattern }, { targetLabel: pattern }];
+  }
+  return query;
+};
+
+// @route   GET api/audit
+// @desc    Browse the audit log with filtering and paging (newest first)
+// @access  Private (audit:read)
+router.get('/', auth, requirePermission('audit:read'), validate(schemas.list), async (req, res) => {
+  try {
+    const query = buildQuery(req);
+    const { page } = req.query;
+    const limit = Math.min(req.query.limit, 100);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      events,
+      pagination: { current: page, pages: Math.ceil(total / limit), total },
+    });
+  } catch (error) {
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+module.exports = router;
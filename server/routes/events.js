@@ -0,0 +1,47 @@
+// routes/events.js
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { subscribeUserEvents } = require('../utils/userEvents');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// @route   GET api/events/users
+// @desc    Server-Sent Events stream of user changes: "created", "updated",
+//          "deleted" and "restored", each { type, user, actor, at }
+// @access  Private (users:read)
+router.get('/users', auth, requirePermission('users:read'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // don't let nginx hold events back
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeUserEvents((event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  // Keeps proxies from timing the connection out, and ends it once the session
+  // (or the API key the stream was opened with) is revoked
+  const heartbeat = setInterval(async () => {
+    try {
+      const credential = req.apiKey ? await ApiKey.findById(req.apiKey._id) : await Session.findById(req.session._id);
+      if (!credential || !credential.isActive()) return res.end();
+      res.write(': ping\n\n');
+    } catch (error) {
+      res.end();
+    }
+  }, HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
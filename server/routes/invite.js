@@ -0,0 +1,141 @@
+// routes/invite.js
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const Invite = require('../models/Invite');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { startSession } = require('../utils/tokens');
+const { registrationPolicy, sendInvite, INVITE_MAX_DAYS, INVITE_DEFAULT_DAYS } = require('../utils/registration');
+const { recordAudit } = require('../utils/audit');
+const { publishUserEvent } = require('../utils/userEvents');
+
+// @route   POST api/invites
+// @desc    Invite someone by email with a pre-chosen role and expiry
+// @access  Private (users:write)
+router.post('/', auth, requirePermission('users:write'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const trimmedEmail = email?.trim().toLowerCase();
+    const expiresInDays = parseInt(req.body.expiresInDays) || INVITE_DEFAULT_DAYS;
+    if (!trimmedEmail) return res.status(400).json({ msg: 'Email is required' });
+    if (expiresInDays < 1 || expiresInDays > INVITE_MAX_DAYS) {
+      return res.status(400).json({ msg: `Expiry must be between 1 and ${INVITE_MAX_DAYS} days` });
+    }
+
+    if (!(await Role.isAssignableBy(role || 'user', req.permissions))) {
+      return res.status(403).json({ msg: 'You cannot assign this role' });
+    }
+    if (await User.exists({ email: trimmedEmail })) {
+      return res.status(400).json({ msg: 'A user with this email already exists' });
+    }
+
+    // Replaces any pending invite for the address, so only the newest one stays valid
+    const { invite, url } = await sendInvite(req, { email: trimmedEmail, role: role || 'user', expiresInDays });
+
+    // The link is returned once so the admin can also share it directly
+    res.status(201).json({ invite, url });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ msg: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   GET api/invites
+// @desc    List invites that can still be redeemed
+// @access  Private (users:write)
+router.get('/', auth, requirePermission('users:write'), async (req, res) => {
+  try {
+    const invites = await Invite.find({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(invites);
+  } catch (error) {
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   DELETE api/invites/:id
+// @desc    Revoke a pending invite
+// @access  Private (users:write)
+router.delete('/:id', auth, requirePermission('users:write'), async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!invite) return res.status(404).json({ msg: 'Invite not found' });
+    await recordAudit(req, { action: 'invite.revoke', targetType: 'invite', target: invite });
+    res.json({ msg: 'Invite revoked' });
+  } catch (error) {
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   GET api/invites/accept/:token
+// @desc    Look up an invite before accepting it
+// @access  Public
+router.get('/accept/:token', async (req, res) => {
+  try {
+    if (registrationPolicy() === 'admin') return res.status(403).json({ msg: 'Invitations are disabled' });
+
+    const invite = await Invite.findPendingByToken(req.params.token);
+    if (!invite) return res.status(404).json({ msg: 'Invite is invalid or has expired' });
+    res.json({ email: invite.email, role: invite.role, expiresAt: invite.expiresAt });
+  } catch (error) {
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   POST api/invites/accept/:token
+// @desc    Redeem an invite: create the account and log in
+// @access  Public
+router.post('/accept/:token', async (req, res) => {
+  try {
+    if (registrationPolicy() === 'admin') return res.status(403).json({ msg: 'Invitations are disabled' });
+
+    const { name, password } = req.body;
+    const invite = await Invite.findPendingByToken(req.params.token);
+    if (!invite) return res.status(404).json({ msg: 'Invite is invalid or has expired' });
+
+    if (await User.exists({ email: invite.email })) {
+      return res.status(400).json({ msg: 'User already exists' });
+    }
+
+    // Role comes from the invite, never from the request
+    const user = new User({
+      name: name?.trim(),
+      email: invite.email,
+      password: password?.trim(),
+      role: invite.role,
+      emailVerified: true, // opening the emailed link proves the address
+      lastLoginAt: new Date(), // accepting signs them straight in
+    });
+    await user.save();
+
+    invite.acceptedAt = new Date();
+    invite.acceptedBy = user._id;
+    await invite.save();
+
+    await recordAudit(req, {
+      action: 'user.create',
+      actor: user,
+      target: user,
+      after: user,
+      metadata: { via: 'invite', invite: invite._id, invitedBy: invite.invitedBy },
+    });
+    publishUserEvent('created', user, user);
+
+    const token = await startSession(req, res, user);
+    res.status(201).json({ token, user: await user.toAuthJSON() });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ msg: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+// routes/role.js
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/role');
+const { sendError } = require('../utils/httpErrors');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const { recordAudit } = require('../utils/audit');
+const { publishUserEvent } = require('../utils/userEvents');
+
+// The schema only lets known permission names through; drop repeats
+const pickPermissions = (permissions = []) => [...new Set(permissions)];
+
+// Permissions in `permissions` the requester can't grant: nobody hands out what they
+// don't hold themselves (a key only what its scopes allow). Ones the role already
+// has may stay, so editing a role doesn't require holding all of it.
+const beyondOwn = (req, permissions, current = []) =>
+  permissions.filter((permission) => !req.permissions.includes(permission) && !current.includes(permission));
+
+const cannotGrant = (res, beyond) =>
+  res.status(403).json({ msg: `You cannot grant permissions you don't have: ${beyond.join(', ')}` });
+
+// @route   GET api/roles
+// @desc    List roles with how many users hold each
+// @access  Private (users:read)
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    ]);
+    const countByRole = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+    res.json(roles.map((role) => ({ ...role.toObject(), userCount: countByRole[role.name] || 0 })));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET api/roles/permissions
+// @desc    List every permission a role can grant
+// @access  Private (roles:manage)
+router.get('/permissions', auth, requirePermission('roles:manage'), (req, res) => {
+  res.json(Role.PERMISSIONS);
+});
+
+// @route   POST api/roles
+// @desc    Create a role
+// @access  Private (roles:manage)
+router.post('/', auth, requirePermission('roles:manage'), validate(schemas.create), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const picked = pickPermissions(permissions);
+    const beyond = beyondOwn(req, picked);
+    if (beyond.length) return cannotGrant(res, beyond);
+
+    if (await Role.exists({ name })) {
+      return res.status(400).json({ msg: 'Role already exists' });
+    }
+
+    const role = await Role.create({ name, description, permissions: picked });
+    await recordAudit(req, { action: 'role.create', targetType: 'role', target: role, after: role });
+    res.status(201).json(role);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT api/roles/:id
+// @desc    Update a role's name, description or permissions
+// @access  Private (roles:manage)
+router.put('/:id', auth, requirePermission('roles:manage'), validate(schemas.update), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return res.status(404).json({ msg: 'Role not found' });
+
+    const { name, description, permissions } = req.body;
+    const oldName = role.name;
+    const before = role.toObject();
+
+    if (name && name !== oldName) {
+      if (role.isSystem) return res.status(400).json({ msg: 'System roles cannot be renamed' });
+      if (await Role.exists({ name })) return res.status(400).json({ msg: 'Role already exists' });
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) {
+      // admin always keeps every permission so nobody can lock the directory
+      if (oldName === 'admin') return res.status(400).json({ msg: 'The admin role always has every permission' });
+      const picked = pickPermissions(permissions);
+      const beyond = beyondOwn(req, picked, role.permissions);
+      if (beyond.length) return cannotGrant(res, beyond);
+      role.permissions = picked;
+    }
+    await role.save();
+
+    // Users reference roles by name, so carry them over on rename. For them it's a
+    // role change like any other: their version goes up and open lists hear of it.
+    if (role.name !== oldName) {
+      await User.updateMany({ role: oldName }, { $set: { role: role.name }, $inc: { __v: 1 } });
+      await Invite.updateMany({ role: oldName }, { role: role.name });
+      const holders = await User.find({ role: role.name }).select('-password');
+      holders.forEach((user) => publishUserEvent('updated', user, req.user));
+    }
+    await recordAudit(req, { action: 'role.update', targetType: 'role', target: role, before, after: role });
+
+    res.json(role);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE api/roles/:id
+// @desc    Delete an unused, non-system role
+// @access  Private (roles:manage)
+router.delete('/:id', auth, requirePermission('roles:manage'), validate(schemas.byId), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return res.status(404).json({ msg: 'Role not found' });
+    if (role.isSystem) return res.status(400).json({ msg: 'System roles cannot be deleted' });
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(400).json({ msg: `Role is still assigned to ${holders} user(s)` });
+    }
+
+    await role.deleteOne();
+    await recordAudit(req, { action: 'role.delete', targetType: 'role', target: role, before: role });
+    res.json({ msg: 'Role deleted' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
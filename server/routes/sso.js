@@ -0,0 +1,147 @@
+// routes/sso.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { startSession, generateToken } = require('../utils/tokens');
+const { clientUrl } = require('../mail');
+const { recordAudit } = require('../utils/audit');
+const { publishUserEvent } = require('../utils/userEvents');
+const { signChallenge } = require('../utils/twoFactor');
+const { oidcConfig, oidcEnabled, roleForClaims, beginLogin, completeLogin } = require('../utils/oidc');
+
+// Back to the login page with a message to show
+const failLogin = (res, msg) => res.redirect(clientUrl(`/login?ssoError=${encodeURIComponent(msg)}`));
+
+// Find the account an identity belongs to: already linked, to be linked by
+// verified email, or (when allowed) a new one. Returns { user, link, created }
+// where link is the subject to store, or { error }.
+const resolveUser = async (claims, config) => {
+  const subject = `${config.issuer}|${claims.sub}`;
+  const user = await User.findOne({ ssoSubject: subject }).select('-password');
+  if (user) return { user };
+
+  // An unverified address could belong to anyone, so it never links or creates
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+  if (!email || claims.email_verified !== true) {
+    return { error: 'Your identity provider did not share a verified email address' };
+  }
+
+  const existing = await User.findOne({ email }).select('-password');
+  if (existing) {
+    if (existing.ssoSubject) return { error: 'This account is linked to a different single sign-on identity' };
+    return { user: existing, link: subject };
+  }
+
+  if (!config.autoProvision) return { error: `There is no account for ${email}. Ask an administrator to add you.` };
+  const created = new User({
+    name: claims.name || claims.preferred_username || email.split('@')[0],
+    email,
+    password: generateToken(), // random and never shown; password login stays closed until a reset
+    role: roleForClaims(claims, config) || config.defaultRole,
+    emailVerified: true,
+    ssoSubject: subject,
+    ssoProvisioned: true,
+  });
+  return { user: created, created: true };
+};
+
+// @route   GET api/auth/oidc/config
+// @desc    Whether single sign-on is set up, and the button label to show
+// @access  Public
+router.get('/config', (req, res) => {
+  res.json({ enabled: oidcEnabled(), label: oidcEnabled() ? oidcConfig().label : undefined });
+});
+
+// @route   GET api/auth/oidc/login
+// @desc    Start single sign-on: redirects the browser to the identity provider
+// @access  Public
+router.get('/login', async (req, res) => {
+  if (!oidcEnabled()) return res.status(404).json({ msg: 'Single sign-on is not configured' });
+  try {
+    res.redirect(await beginLogin(res));
+  } catch (error) {
+    console.error('SSO login error:', error.message);
+    failLogin(res, 'The identity provider is unavailable, please try again later');
+  }
+});
+
+// @route   GET api/auth/oidc/callback
+// @desc    Where the identity provider sends the browser back. Signs the user in
+//          (setting the refresh cookie) and returns to the client, which picks
+//          up the session with POST /api/users/refresh. Accounts with 2FA get
+//          a challenge for POST /api/users/login/2fa instead.
+// @access  Public (requires the flow cookie set by /login)
+router.get('/callback', async (req, res) => {
+  if (!oidcEnabled()) return res.status(404).json({ msg: 'Single sign-on is not configured' });
+  let claims;
+  try {
+    claims = await completeLogin(req, res);
+  } catch (error) {
+    console.error('SSO callback error:', error.message);
+    return failLogin(res, 'Single sign-on failed or expired, please try again');
+  }
+
+  try {
+    const config = oidcConfig();
+    const { user, link, created, error } = await resolveUser(claims, config);
+    if (error) return failLogin(res, error);
+    if (user.deletedAt) return failLogin(res, 'This account has been deleted');
+    if (!user.isActiveNow()) {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'inactive', sso: true } });
+      return failLogin(res, 'This account has been deactivated. Contact an administrator.');
+    }
+    if (user.isLocked()) {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'locked', sso: true } });
+      return failLogin(res, 'Account locked after too many failed logins. Try again later or reset your password.');
+    }
+    // Linking by email would let whoever controls the address at the provider skip the second factor
+    if (link && user.twoFactorEnabled) {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'two-factor-link', sso: true } });
+      return failLogin(res, 'This account uses two-factor authentication. Sign in with your password instead.');
+    }
+
+    const before = created ? null : user.toObject();
+    if (link) {
+      user.ssoSubject = link;
+      user.emailVerified = true; // the provider vouched for the address
+    }
+    // The provider's groups keep the role of accounts it created in step on every login; no
+    // mapped group leaves it alone. Linked accounts keep the role an administrator gave them.
+    const mappedRole = roleForClaims(claims, config);
+    if (!created && user.ssoProvisioned && mappedRole && mappedRole !== user.role && (await Role.exists({ name: mappedRole }))) {
+      user.role = mappedRole;
+    }
+    if (!user.twoFactorEnabled) user.lastLoginAt = new Date();
+    await user.save();
+
+    if (created) {
+      await recordAudit(req, { action: 'user.create', actor: user, target: user, after: user, metadata: { via: 'sso' } });
+      publishUserEvent('created', user, user);
+    } else if (link || before.role !== user.role) {
+      await recordAudit(req, {
+        action: link ? 'user.sso_link' : 'user.role_change',
+        actor: user,
+        target: user,
+        before,
+        after: user,
+        metadata: { via: 'sso' },
+      });
+      publishUserEvent('updated', user, user);
+    }
+
+    // The provider doesn't replace the app's own second factor: finish on the login page's code step
+    if (user.twoFactorEnabled) {
+      return res.redirect(clientUrl(`/login?twoFactorChallenge=${encodeURIComponent(signChallenge(user))}`));
+    }
+
+    await startSession(req, res, user);
+    await recordAudit(req, { action: 'user.login', actor: user, target: user, metadata: { sso: config.issuer } });
+    res.redirect(clientUrl('/login'));
+  } catch (error) {
+    console.error('SSO sign-in error:', error.message);
+    failLogin(res, 'Single sign-on failed, please try again');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+// routes/stats.js
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/stats');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { sendError } = require('../utils/httpErrors');
+const { periodExpression, fillSeries } = require('../utils/timeSeries');
+
+const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// @route   GET api/stats/summary
+// @desc    Dashboard KPIs: current totals and role breakdown, plus signups and
+//          logins within ?from&to (default: the last 30 days)
+// @access  Private (users:read)
+router.get('/summary', auth, requirePermission('users:read'), validate(schemas.range), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const [[users], deleted, [logins]] = await Promise.all([
+      User.aggregate([
+        { $match: { deletedAt: null } },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  total: { $sum: 1 },
+                  active: count('$isActive'),
+                  verified: count('$emailVerified'),
+                  twoFactor: count('$twoFactorEnabled'),
+                  neverLoggedIn: count({ $eq: [{ $ifNull: ['$lastLoginAt', null] }, null] }),
+                },
+              },
+            ],
+            roles: [{ $group: { _id: '$role', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }],
+            signups: [{ $match: { createdAt: { $gte: from, $lte: to } } }, { $count: 'count' }],
+          },
+        },
+      ]),
+      User.countDocuments({ deletedAt: { $ne: null } }),
+      AuditEvent.aggregate([
+        { $match: { action: 'user.login', createdAt: { $gte: from, $lte: to } } },
+        { $group: { _id: null, logins: { $sum: 1 }, users: { $addToSet: '$actor' } } },
+      ]),
+    ]);
+
+    const totals = users.totals[0] || { total: 0, active: 0, verified: 0, twoFactor: 0, neverLoggedIn: 0 };
+    res.json({
+      total: totals.total,
+      active: totals.active,
+      inactive: totals.total - totals.active,
+      verified: totals.verified,
+      twoFactor: totals.twoFactor,
+      neverLoggedIn: totals.neverLoggedIn,
+      deleted,
+      roles: users.roles.map(({ _id, count: roleCount }) => ({ role: _id, count: roleCount })),
+      range: {
+        from,
+        to,
+        signups: users.signups[0]?.count || 0,
+        logins: logins?.logins || 0,
+        activeUsers: logins?.users.length || 0,
+      },
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET api/stats/signups
+// @desc    New accounts per day or week: ?from&to&interval=day|week&tz=Europe/Berlin
+// @access  Private (users:read)
+router.get('/signups', auth, requirePermission('users:read'), validate(schemas.range), async (req, res) => {
+  try {
+    const { from, to, interval, tz } = req.query;
+    // Trashed users still signed up when they did
+    const rows = await User.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: periodExpression('createdAt', interval, tz), count: { $sum: 1 } } },
+    ]);
+    res.json({ interval, series: fillSeries(rows, { from, to, interval, timezone: tz }, { count: 0 }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET api/stats/logins
+// @desc    Successful logins and distinct users logging in per day or week, from the audit log
+// @access  Private (users:read)
+router.get('/logins', auth, requirePermission('users:read'), validate(schemas.range), async (req, res) => {
+  try {
+    const { from, to, interval, tz } = req.query;
+    const rows = await AuditEvent.aggregate([
+      { $match: { action: 'user.login', createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: periodExpression('createdAt', interval, tz), logins: { $sum: 1 }, users: { $addToSet: '$actor' } } },
+      { $project: { logins: 1, users: { $size: '$users' } } },
+    ]);
+    res.json({ interval, series: fillSeries(rows, { from, to, interval, timezone: tz }, { logins: 0, users: 0 }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -2,163 +2,1003 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission, notWhileImpersonating, requireSession } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/user');
+const { sendError } = require('../utils/httpErrors');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const {
+  signAccessToken,
+  signImpersonationToken,
+  startSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  clearRefreshCookie,
+} = require('../utils/tokens');
+const { sendMail, clientUrl } = require('../mail');
+const templates = require('../mail/templates');
+const { verificationPolicy, sendVerificationEmail } = require('../utils/verification');
+const { registrationPolicy, sendInvite } = require('../utils/registration');
+const {
+  parseFilterExpression,
+  dateRange,
+  pickViewParams,
+  searchCondition,
+  SORT_FIELDS,
+  DEFAULT_SORT,
+} = require('../utils/userFilter');
+const { pageLimit, parseSort, sortSpec, encodeCursor, cursorCondition } = require('../utils/pagination');
+const { FORMATS, pickColumns, streamUsers } = require('../utils/userExport');
+const { parseRows, guessMapping, pickMapping, validateRows, toReportRow } = require('../utils/userImport');
+const { recordAudit } = require('../utils/audit');
+const { publishUserEvent } = require('../utils/userEvents');
+const { verifyTotp, findRecoveryCode, signChallenge, verifyChallenge } = require('../utils/twoFactor');
 
-// Helper for building query (search, filter)
-const buildQuery = (req) => {
+// Helper for building query (search, filter) from query-string style params.
+// Throws a FilterError for dates or expressions it can't understand.
+const buildQuery = (params) => {
   let query = {};
-  if (req.query.search) {
-    query.$or = [
-      { name: { $regex: req.query.search, $options: 'i' } }, 
-      { email: { $regex: req.query.search, $options: 'i' } },
-    ];
+  if (params.search) {
+    // Ranking by relevance needs the text index; otherwise match escaped prefixes
+    if (params.sort === 'relevance') query.$text = { $search: String(params.search) };
+    else query.$or = searchCondition(params.search).$or;
   }
-  if (req.query.role) query.role = req.query.role;
-  if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+  // role=admin,support matches any of them
+  if (params.role) query.role = { $in: String(params.role).split(',') };
+  if (params.active) query.isActive = String(params.active) === 'true';
+  const created = dateRange(params.createdFrom, params.createdTo);
+  const updated = dateRange(params.updatedFrom, params.updatedTo);
+  const lastLogin = dateRange(params.lastLoginFrom, params.lastLoginTo);
+  if (created) query.createdAt = created;
+  if (updated) query.updatedAt = updated;
+  if (lastLogin) query.lastLoginAt = lastLogin;
+  // q is the filter language from utils/userFilter.js
+  const conditions = parseFilterExpression(params.q);
+  if (conditions.length) query.$and = conditions;
+  // Trashed users are hidden unless asked for: deleted=only | include
+  if (params.deleted === 'only') query.deletedAt = { $ne: null };
+  else if (params.deleted !== 'include') query.deletedAt = null;
   return query;
 };
 
-// Helper for pagination and sort
+// Helper for pagination and sort. Only SORT_FIELDS can be sorted on, always with
+// _id as the tie-breaker; anything else is a FilterError. order is null for relevance.
 const getPaginationSort = (req) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = pageLimit(req.query.limit);
   const skip = (page - 1) * limit;
-  const sort = req.query.sort ? { [req.query.sort.split(':')[0]]: req.query.sort.split(':')[1] === 'desc' ? -1 : 1 } : { createdAt: -1 };
-  return { skip, limit, sort };
+  // Best matches first; only meaningful (and only allowed by Mongo) alongside a text search
+  if (req.query.sort === 'relevance' && req.query.search) {
+    return { page, skip, limit, sort: { score: { $meta: 'textScore' }, _id: 1 }, order: null };
+  }
+  const requested = req.query.sort === 'relevance' ? DEFAULT_SORT : req.query.sort;
+  const order = parseSort(requested, { fields: SORT_FIELDS, fallback: DEFAULT_SORT });
+  return { page, skip, limit, sort: sortSpec(order), order };
+};
+
+// Nobody may grant a role, or act on someone holding one, with more permissions than they have
+const canManageRole = (req, roleName) => Role.isAssignableBy(roleName, req.permissions);
+
+// Per-IP cap on login attempts, on top of the per-account lockout
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: (parseInt(process.env.LOGIN_RATE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT) || 20,
+  msg: 'Too many login attempts from this address, please try again later',
+});
+
+const lockedResponse = (res, lockedUntil) => {
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+  return res.status(423).json({
+    msg: `Account locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+    code: 'ACCOUNT_LOCKED',
+    lockedUntil,
+  });
 };
 
+// Told only after the password checks out, so it doesn't reveal which accounts exist
+const inactiveResponse = (res) =>
+  res.status(403).json({ msg: 'This account has been deactivated. Contact an administrator.', code: 'ACCOUNT_INACTIVE' });
+
+// 409 in the same shape as a duplicate-key error from the database
+const duplicateEmail = (res) =>
+  res.status(409).json({ msg: 'A user with this email already exists', errors: { email: 'A user with this email already exists' } });
+
 // @route   POST api/users
-// @desc    Create a user (public for signup, but we'll restrict later)
-// @access  Public (for now; add auth if needed)
-router.post('/', async (req, res) => {
-  try {
-    // Trim whitespace from string inputs
-    const { name, email, password, role } = req.body;
-    const trimmedName = name?.trim();
-    const trimmedEmail = email?.trim();
-    const trimmedPassword = password?.trim();
-    
-    let user = await User.findOne({ email: trimmedEmail });
-    if (user) return res.status(400).json({ msg: 'User already exists' });
-
-    user = new User({ 
-      name: trimmedName, 
-      email: trimmedEmail, 
-      password: trimmedPassword, 
-      role: role || 'user' 
-    });
+// @desc    Create a user (admin adding someone from the table)
+// @access  Private (users:write)
+router.post('/', auth, requirePermission('users:write'), validate(schemas.create), async (req, res) => {
+  try {
+    // Already trimmed and stripped of anything else by the schema
+    const { name, email, password, role, isActive, activateAt, deactivateAt } = req.body;
+
+    if (!(await canManageRole(req, role))) {
+      return res.status(403).json({ msg: 'You cannot assign this role' });
+    }
+
+    if (await User.exists({ email })) return duplicateEmail(res);
+
+    const user = new User({ name, email, password, role, isActive, activateAt, deactivateAt });
+    await user.save();
+
+    // Prove the address is real before trusting it
+    sendVerificationEmail(user).catch((mailError) => console.error('Verification mail error:', mailError.message));
+
+    await recordAudit(req, { action: 'user.create', target: user, after: user });
+    publishUserEvent('created', user, req.user);
+
+    res.status(201).json({ user: await user.toAuthJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/register
+// @desc    Self-service signup, subject to REGISTRATION_POLICY
+// @access  Public
+router.post('/register', validate(schemas.register), async (req, res) => {
+  try {
+    const policy = registrationPolicy();
+    if (policy === 'invite') return res.status(403).json({ msg: 'Registration is by invitation only' });
+    if (policy === 'admin') return res.status(403).json({ msg: 'Registration is closed, ask an administrator for an account' });
+
+    const { name, email, password } = req.body;
+
+    if (await User.exists({ email })) return duplicateEmail(res);
+
+    const user = new User({ name, email, password, role: 'user' });
     await user.save();
 
-    // Generate JWT (for login response; we'll add full login later)
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    sendVerificationEmail(user).catch((mailError) => console.error('Verification mail error:', mailError.message));
+
+    await recordAudit(req, { action: 'user.register', actor: user, target: user, after: user });
+    publishUserEvent('created', user, user);
+
+    const userData = await user.toAuthJSON();
+
+    // No working token until the link in the email has been opened
+    if (verificationPolicy() === 'required') {
+      return res.status(201).json({ msg: 'Check your email to verify your account before logging in', user: userData });
+    }
 
-    res.status(201).json({ token, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+    // Signing up logs the new user in
+    const token = await startSession(req, res, user);
+    res.status(201).json({ token, user: userData });
   } catch (error) {
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendError(res, error);
   }
 });
 
 // @route   GET api/users
-// @desc    Get all users with search/filter/sort/paginate
-// @access  Private/Admin
-router.get('/', auth, adminAuth, async (req, res) => {
+// @desc    Get all users with search/filter/sort/paginate. Pages either by
+//          ?page= or, stable under inserts and deletes, by ?cursor= taken from
+//          the previous response's pagination.nextCursor
+// @access  Private (users:read)
+router.get('/', auth, requirePermission('users:read'), validate(schemas.list), async (req, res) => {
   try {
-    const query = buildQuery(req);
-    const { skip, limit, sort } = getPaginationSort(req);
+    const query = buildQuery(req.query);
+    const { page, skip, limit, sort, order } = getPaginationSort(req);
+    const { cursor } = req.query;
+    // Text scores can't be compared across requests, so relevance only pages by number
+    if (cursor && !order) return res.status(400).json({ msg: 'Results sorted by relevance are paged with page, not cursor' });
 
-    const users = await User.find(query)
+    // One extra row tells whether there is a next page
+    const rows = await User.find(cursor ? { $and: [query, cursorCondition(cursor, order)] } : query)
       .select('-password') // Hide password
       .sort(sort)
-      .skip(skip)
-      .limit(limit);
+      .skip(cursor ? 0 : skip)
+      .limit(limit + 1);
+    const users = rows.slice(0, limit);
+    const nextCursor = rows.length > limit && order ? encodeCursor(users[users.length - 1], order) : null;
 
     const total = await User.countDocuments(query); // For pagination info
 
     res.json({
       users,
-      pagination: { current: parseInt(req.query.page) || 1, pages: Math.ceil(total / limit), total },
+      pagination: { current: cursor ? null : page, pages: Math.ceil(total / limit), total, limit, nextCursor },
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// What each bulk action needs and what it changes
+const BULK_MAX = 500;
+const BULK_ACTIONS = {
+  activate: { permission: 'users:write', audit: 'user.update', update: () => ({ isActive: true }) },
+  deactivate: { permission: 'users:write', audit: 'user.update', update: () => ({ isActive: false }) },
+  role: { permission: 'users:write', audit: 'user.update', update: (req) => ({ role: req.body.role }) },
+  delete: {
+    permission: 'users:delete',
+    audit: 'user.delete',
+    update: (req) => ({ deletedAt: new Date(), deletedBy: req.user._id }),
+  },
+};
+
+// @route   POST api/users/bulk
+// @desc    Apply one action to many users: { action, ids } or { action, filter } for
+//          everyone matching the table's filters. Each user succeeds or fails on its own.
+// @access  Private (users:write, or users:delete for deletes)
+router.post('/bulk', auth, requirePermission(), validate(schemas.bulk), async (req, res) => {
+  try {
+    const { action, ids, filter } = req.body;
+    const spec = BULK_ACTIONS[action];
+    if (!spec) return res.status(400).json({ msg: `Unknown action, expected one of: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+    if (!req.permissions.includes(spec.permission)) {
+      return res.status(403).json({ msg: `Missing permission: ${spec.permission}` });
+    }
+    if (action === 'role') {
+      if (!(await Role.exists({ name: req.body.role }))) return res.status(400).json({ msg: 'Role does not exist' });
+      if (!(await canManageRole(req, req.body.role))) return res.status(403).json({ msg: 'You cannot assign this role' });
+    }
+
+    // The schema guarantees exactly one of ids (all valid ObjectIds) or filter
+    let targets;
+    if (ids) {
+      targets = await User.find({ _id: { $in: ids }, deletedAt: null }).select('-password');
+      // Report ids that don't (or no longer) match a user instead of silently skipping them
+      const found = new Set(targets.map((user) => user.id));
+      targets.missing = ids.filter((id) => !found.has(id));
+    } else {
+      // One past the cap is enough to refuse a broad filter without loading everyone it matches
+      targets = await User.find(buildQuery({ ...filter, deleted: undefined }))
+        .select('-password')
+        .limit(BULK_MAX + 1);
+      targets.missing = [];
+    }
+    if (targets.length + targets.missing.length > BULK_MAX) {
+      return res.status(400).json({ msg: `Bulk actions are limited to ${BULK_MAX} users at a time` });
+    }
+
+    const results = targets.missing.map((id) => ({ id, ok: false, msg: 'User not found' }));
+    const manageable = {}; // role name -> may the caller act on it
+    for (const target of targets) {
+      const fail = (msg) => results.push({ id: target.id, email: target.email, ok: false, msg });
+      if (target.id === req.user.id && action !== 'activate') {
+        fail('You cannot do this to your own account');
+        continue;
+      }
+      if (manageable[target.role] === undefined) manageable[target.role] = await canManageRole(req, target.role);
+      if (!manageable[target.role]) {
+        fail('You cannot manage users with this role');
+        continue;
+      }
+
+      try {
+        const user = await User.findOneAndUpdate({ _id: target._id, deletedAt: null }, spec.update(req), {
+          new: true,
+          runValidators: true,
+        }).select('-password');
+        if (!user) {
+          fail('User not found');
+          continue;
+        }
+
+        if (action === 'delete') await revokeUserSessions(user._id, 'user-deleted');
+        if (action === 'deactivate' && target.isActive) await revokeUserSessions(user._id, 'user-deactivated');
+        await recordAudit(req, { action: spec.audit, target: user, before: target, after: user, metadata: { bulk: action } });
+        publishUserEvent(action === 'delete' ? 'deleted' : 'updated', user, req.user);
+        results.push({ id: user.id, email: user.email, ok: true });
+      } catch (error) {
+        fail(error.name === 'ValidationError' ? Object.values(error.errors)[0].message : 'Server error');
+      }
+    }
+
+    const succeeded = results.filter((result) => result.ok).length;
+    res.json({ action, succeeded, failed: results.length - succeeded, results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/import
+// @desc    Import users from CSV text or JSON rows. Body: { format: 'csv' | 'json', data,
+//          mapping: { name, email, role, password } (field -> column, guessed when omitted),
+//          mode: 'password' | 'invite', defaultRole, dryRun }. Invalid rows are skipped
+//          and every row is reported.
+// @access  Private (users:write)
+router.post('/import', auth, requirePermission('users:write'), validate(schemas.importUsers), async (req, res) => {
+  try {
+    const { format, data, dryRun, defaultRole } = req.body;
+    const mode = req.body.mode === 'invite' ? 'invite' : 'password';
+    if (mode === 'invite' && registrationPolicy() === 'admin') {
+      return res.status(400).json({ msg: 'Invitations are disabled' });
+    }
+
+    const { columns, rows, error } = parseRows(format, data);
+    if (error) return res.status(400).json({ msg: error });
+
+    const mapping = req.body.mapping ? pickMapping(req.body.mapping, columns) : guessMapping(columns);
+    if (!mapping.email) return res.status(400).json({ msg: 'Choose the column that holds email addresses', columns, mapping });
+
+    const records = await validateRows(rows, mapping, {
+      mode,
+      defaultRole: defaultRole || 'user',
+      canAssign: (role) => canManageRole(req, role),
+    });
+
+    if (!dryRun) {
+      for (const record of records.filter((r) => r.status === 'valid')) {
+        try {
+          if (mode === 'invite') {
+            await sendInvite(req, { email: record.email, role: record.role, metadata: { via: 'import' } });
+            record.status = 'invited';
+          } else {
+            const user = await User.create({
+              name: record.name,
+              email: record.email,
+              password: record.password,
+              role: record.role,
+            });
+            sendVerificationEmail(user).catch((mailError) => console.error('Verification mail error:', mailError.message));
+            await recordAudit(req, { action: 'user.create', target: user, after: user, metadata: { via: 'import' } });
+            publishUserEvent('created', user, req.user);
+            record.status = 'created';
+          }
+        } catch (rowError) {
+          // e.g. the address was taken between validation and saving
+          record.status = 'failed';
+          record.errors.push(rowError.code === 11000 ? 'A user with this email already exists' : 'Could not be saved');
+        }
+      }
+    }
+
+    const count = (status) => records.filter((record) => record.status === status).length;
+    res.status(dryRun ? 200 : 201).json({
+      dryRun: !!dryRun,
+      mode,
+      columns,
+      mapping,
+      total: records.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      imported: count('created') + count('invited'),
+      failed: count('failed'),
+      rows: records.map(toReportRow),
     });
   } catch (error) {
-    res.status(500).json({ msg: 'Server error' });
+    sendError(res, error);
+  }
+});
+
+// @route   GET api/users/export
+// @desc    Download every user matching the list filters and sort as CSV, NDJSON or XLSX.
+//          ?format=csv|ndjson|xlsx&columns=name,email,... (only whitelisted columns)
+// @access  Private (users:read)
+router.get('/export', auth, requirePermission('users:read'), validate(schemas.exportUsers), async (req, res) => {
+  const format = FORMATS[req.query.format] ? req.query.format : 'csv';
+  const columns = pickColumns(req.query.columns);
+  const filename = `users-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+
+  try {
+    const query = buildQuery(req.query);
+    const { sort } = getPaginationSort(req);
+    // Only the exported columns are read, so nothing else can leak into the file
+    const cursor = User.find(query)
+      .select(columns.filter((column) => column !== 'id').join(' '))
+      .sort(sort)
+      .lean()
+      .cursor();
+
+    res.set({ 'Content-Type': FORMATS[format].contentType, 'Content-Disposition': `attachment; filename="${filename}"` });
+    const count = await streamUsers(cursor, res, { format, columns });
+
+    await recordAudit(req, {
+      action: 'user.export',
+      targetLabel: filename,
+      metadata: { format, columns, count, filters: pickViewParams(req.query) },
+    });
+  } catch (error) {
+    // Once rows have gone out the only honest signal left is a broken download
+    if (res.headersSent) {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Export error:', error.message);
+      return res.destroy(error);
+    }
+    sendError(res, error);
   }
 });
 
 // @route   GET api/users/:id
 // @desc    Get single user
-// @access  Private/Admin
-router.get('/:id', auth, adminAuth, async (req, res) => {
+// @access  Private (users:read)
+router.get('/:id', auth, requirePermission('users:read'), validate(schemas.byId), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     if (!user) return res.status(404).json({ msg: 'User not found' });
-    res.json(user);
+    res.set('ETag', etag(user)).json(user);
   } catch (error) {
-    res.status(500).json({ msg: 'Server error' });
+    sendError(res, error);
   }
 });
 
 
+// A user's ETag is its version, bumped whenever an admin-editable field changes
+const etag = (user) => `"${user.__v}"`;
+
+// If-Match: "3" (or W/"3") -> 3; undefined when absent or "*", NaN when unreadable
+const ifMatchVersion = (req) => {
+  const header = req.get('If-Match')?.trim();
+  if (!header || header === '*') return undefined;
+  const match = header.match(/^(?:W\/)?"(\d+)"$/);
+  return match ? Number(match[1]) : NaN;
+};
+
+// 409 carrying the current server copy so the client can show what changed
+const versionConflict = (res, current) =>
+  res.status(409).set('ETag', etag(current)).json({
+    msg: 'Someone else changed this user while you were editing',
+    code: 'VERSION_CONFLICT',
+    current,
+  });
+
 // @route   PUT api/users/:id
-// @desc    Update user (edit fields or toggle active)
-// @access  Private/Admin
-router.put('/:id', auth, adminAuth, async (req, res) => {
+// @desc    Update user (edit fields or toggle active). With If-Match set to the
+//          version (ETag) that was edited, the update only applies if nobody
+//          changed the user since; otherwise 409 with the current copy.
+// @access  Private (users:write)
+router.put('/:id', auth, requirePermission('users:write'), validate(schemas.update), async (req, res) => {
   try {
+    // Only the fields the schema allows, already trimmed
     const updates = req.body;
-    
-    // Trim whitespace from string fields
-    if (updates.name) updates.name = updates.name.trim();
-    if (updates.email) updates.email = updates.email.trim();
-    if (updates.password) {
-      updates.password = updates.password.trim();
-      // Re-hash if password updated
-      updates.password = await bcrypt.hash(updates.password, 12);
+
+    const version = ifMatchVersion(req);
+    if (Number.isNaN(version)) return res.status(400).json({ msg: 'If-Match must be the ETag of the user' });
+
+    const target = await User.findById(req.params.id).select('-password');
+    if (!target) return res.status(404).json({ msg: 'User not found' });
+    if (!(await canManageRole(req, target.role)) || (updates.role && !(await canManageRole(req, updates.role)))) {
+      return res.status(403).json({ msg: 'You cannot manage users with this role' });
     }
+    if (version !== undefined && version !== target.__v) return versionConflict(res, target);
 
-    let user = await User.findByIdAndUpdate(
-      req.params.id,
-      { ...updates, updatedAt: Date.now() }, // Spread updates
+    // Re-hash if password updated
+    if (updates.password) updates.password = await bcrypt.hash(updates.password, 12);
+
+    // The version is checked again in the write itself, in case of an edit in between
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, ...(version !== undefined && { __v: version }) },
+      { ...updates, updatedAt: Date.now() },
       { new: true, runValidators: true } // Return updated doc, validate
     ).select('-password');
 
-    if (!user) return res.status(404).json({ msg: 'User not found' });
-    res.json(user);
+    if (!user) {
+      const current = await User.findById(req.params.id).select('-password');
+      return current ? versionConflict(res, current) : res.status(404).json({ msg: 'User not found' });
+    }
+
+    // A deactivated user is signed out everywhere, not just kept from logging in again
+    if (target.isActive && !user.isActive) await revokeUserSessions(user._id, 'user-deactivated');
+    await recordAudit(req, {
+      action: 'user.update',
+      target: user,
+      before: target,
+      after: user,
+      metadata: updates.password ? { passwordChanged: true } : undefined,
+    });
+    publishUserEvent('updated', user, req.user);
+
+    res.set('ETag', etag(user)).json(user);
   } catch (error) {
-    res.status(500).json({ msg: 'Server error' });
+    sendError(res, error);
   }
 });
 // @route   DELETE api/users/:id
-// @desc    Delete user
-// @access  Private/Admin
-router.delete('/:id', auth, adminAuth, async (req, res) => {
+// @desc    Move user to the trash (restorable until purged)
+// @access  Private (users:delete)
+router.delete('/:id', auth, requirePermission('users:delete'), validate(schemas.byId), async (req, res) => {
+  try {
+    const target = await User.findOne({ _id: req.params.id, deletedAt: null }).select('-password');
+    if (!target) return res.status(404).json({ msg: 'User not found' });
+    if (target.id === req.user.id) return res.status(400).json({ msg: 'You cannot delete your own account' });
+    if (!(await canManageRole(req, target.role))) {
+      return res.status(403).json({ msg: 'You cannot manage users with this role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { deletedAt: new Date(), deletedBy: req.user._id },
+      { new: true }
+    ).select('-password');
+
+    // A trashed user is signed out everywhere
+    await revokeUserSessions(user._id, 'user-deleted');
+    await recordAudit(req, { action: 'user.delete', target: user, before: target, after: user });
+    publishUserEvent('deleted', user, req.user);
+
+    res.json({ msg: 'User moved to trash' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/:id/restore
+// @desc    Restore a user from the trash
+// @access  Private (users:delete)
+router.post('/:id/restore', auth, requirePermission('users:delete'), validate(schemas.byId), async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const target = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).select('-password');
+    if (!target) return res.status(404).json({ msg: 'User not found in trash' });
+    if (!(await canManageRole(req, target.role))) {
+      return res.status(403).json({ msg: 'You cannot manage users with this role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { deletedAt: null, $unset: { deletedBy: 1 } },
+      { new: true }
+    ).select('-password');
+
+    await recordAudit(req, { action: 'user.restore', target: user, before: target, after: user });
+    publishUserEvent('restored', user, req.user);
+
+    res.json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/:id/unlock
+// @desc    Clear a user's failed-login lockout
+// @access  Private (users:write)
+router.post('/:id/unlock', auth, requirePermission('users:write'), validate(schemas.byId), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('-password');
     if (!user) return res.status(404).json({ msg: 'User not found' });
-    res.json({ msg: 'User deleted' });
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({ msg: 'You cannot manage users with this role' });
+    }
+
+    const before = user.toObject();
+    await user.resetLoginAttempts();
+    await recordAudit(req, { action: 'user.unlock', target: user, before, after: user });
+    publishUserEvent('updated', user, req.user);
+
+    res.json(user);
   } catch (error) {
-    res.status(500).json({ msg: 'Server error' });
+    sendError(res, error);
   }
 });
 
 // @route   POST api/users/login
 // @desc    Login user and return token
-// @access  Public
-router.post('/login', async (req, res) => {
+// @access  Public (rate limited per IP)
+router.post('/login', loginLimiter, validate(schemas.login), async (req, res) => {
   try {
-    // Trim whitespace from email and password
     const { email, password } = req.body;
-    const trimmedEmail = email?.trim();
-    const trimmedPassword = password?.trim();
-    
-    const user = await User.findOne({ email: trimmedEmail });
-    if (!user || !(await user.comparePassword(trimmedPassword))) {
+
+    const user = await User.findOne({ email: email, deletedAt: null });
+    if (user?.isLocked()) {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'locked' } });
+      return lockedResponse(res, user.lockedUntil);
+    }
+    if (!user || !(await user.comparePassword(password))) {
+      const lockedUntil = user && (await user.registerFailedLogin());
+      await recordAudit(req, {
+        action: 'user.login_failed',
+        actor: user,
+        target: user,
+        targetLabel: email,
+        metadata: { reason: user ? 'wrong-password' : 'unknown-email', ...(lockedUntil && { lockedUntil }) },
+      });
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+    if (!user.emailVerified && verificationPolicy() === 'required') {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'email-not-verified' } });
+      return res.status(403).json({ msg: 'Please verify your email before logging in', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    if (!user.isActiveNow()) {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'inactive' } });
+      return inactiveResponse(res);
+    }
+
+    // The password alone isn't enough; the failure counter stays until the code checks out
+    if (user.twoFactorEnabled) {
+      return res.json({ twoFactorRequired: true, challenge: signChallenge(user) });
+    }
+
+    await user.resetLoginAttempts();
+    await User.updateOne({ _id: user._id }, { lastLoginAt: new Date() });
+    const token = await startSession(req, res, user);
+    await recordAudit(req, { action: 'user.login', actor: user, target: user });
+    res.json({ token, user: await user.toAuthJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/login/2fa
+// @desc    Finish a two-factor login with an authenticator or recovery code
+// @access  Public (requires the challenge from POST /login)
+router.post('/login/2fa', loginLimiter, validate(schemas.loginTwoFactor), async (req, res) => {
+  try {
+    const { challenge, code, recoveryCode } = req.body;
+    const userId = verifyChallenge(challenge);
+    if (!userId) return res.status(401).json({ msg: 'Login has expired, please start again' });
+
+    const user = await User.findOne({ _id: userId, deletedAt: null, twoFactorEnabled: true })
+      .select('+twoFactorSecret +twoFactorRecoveryCodeHashes +twoFactorLastStep');
+    if (!user) return res.status(401).json({ msg: 'Login has expired, please start again' });
+    if (user.isLocked()) {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'locked' } });
+      return lockedResponse(res, user.lockedUntil);
+    }
+
+    let method;
+    if (recoveryCode) {
+      const index = findRecoveryCode(user.twoFactorRecoveryCodeHashes, recoveryCode);
+      if (index !== -1) {
+        user.twoFactorRecoveryCodeHashes.splice(index, 1); // single use
+        method = 'recovery-code';
+      }
+    } else {
+      const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastStep);
+      if (step !== null) {
+        user.twoFactorLastStep = step;
+        method = 'totp';
+      }
+    }
+
+    // Deactivated between the password step and the code
+    if (!user.isActiveNow()) {
+      await recordAudit(req, { action: 'user.login_failed', actor: user, target: user, metadata: { reason: 'inactive' } });
+      return inactiveResponse(res);
+    }
+
+    if (!method) {
+      const lockedUntil = await user.registerFailedLogin();
+      await recordAudit(req, {
+        action: 'user.login_failed',
+        actor: user,
+        target: user,
+        metadata: { reason: 'invalid-2fa-code', ...(lockedUntil && { lockedUntil }) },
+      });
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+      return res.status(400).json({ msg: 'Invalid authentication code' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save({ validateBeforeSave: false });
+    await user.resetLoginAttempts();
+    const token = await startSession(req, res, user);
+    await recordAudit(req, {
+      action: 'user.login',
+      actor: user,
+      target: user,
+      metadata: { twoFactor: method, ...(method === 'recovery-code' && { recoveryCodesLeft: user.twoFactorRecoveryCodeHashes.length }) },
+    });
+    res.json({ token, user: await user.toAuthJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE api/users/:id/2fa
+// @desc    Turn off a user's two-factor authentication (e.g. lost device)
+// @access  Private (users:write)
+router.delete('/:id/2fa', auth, requirePermission('users:write'), validate(schemas.byId), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('-password');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({ msg: 'You cannot manage users with this role' });
+    }
+    if (!user.twoFactorEnabled) return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodeHashes = undefined;
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'user.2fa_reset', target: user });
+    publishUserEvent('updated', user, req.user);
+
+    res.json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Live sessions as admins see them; the raw token hashes stay on the server
+const sessionJSON = (session, req) => ({
+  _id: session._id,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!req.session && session._id.equals(req.session._id), // never with an API key
+});
+
+// @route   GET api/users/:id/logins
+// @desc    Login history of a user (newest first), from the audit log's login
+//          events: { at, success, reason, ip, userAgent }. ?result=success|failure
+// @access  Private (users:read)
+router.get('/:id/logins', auth, requirePermission('users:read'), validate(schemas.loginHistory), async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = pageLimit(req.query.limit);
+    const actions = { success: ['user.login'], failure: ['user.login_failed'] }[req.query.result] || [
+      'user.login',
+      'user.login_failed',
+    ];
+    const query = { target: req.params.id, action: { $in: actions } };
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      logins: events.map((event) => ({
+        _id: event._id,
+        at: event.createdAt,
+        success: event.action === 'user.login',
+        reason: event.metadata?.reason,
+        twoFactor: event.metadata?.twoFactor,
+        ip: event.ip,
+        userAgent: event.userAgent,
+      })),
+      pagination: { current: page, pages: Math.ceil(total / limit), total, limit },
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET api/users/:id/sessions
+// @desc    A user's active sessions (signed-in browsers), most recently used first
+// @access  Private (users:read)
+router.get('/:id/sessions', auth, requirePermission('users:read'), validate(schemas.byId), async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.params.id, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+      lastUsedAt: -1,
+    });
+    res.json({ sessions: sessions.map((session) => sessionJSON(session, req)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE api/users/:id/sessions/:sessionId
+// @desc    Sign a user out of one session; its tokens stop working immediately
+// @access  Private (users:write)
+router.delete('/:id/sessions/:sessionId', auth, requirePermission('users:write'), validate(schemas.sessionById), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({ msg: 'You cannot manage users with this role' });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.sessionId, user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'admin-revoked' }
+    );
+    if (!session) return res.status(404).json({ msg: 'Session not found' });
+    await recordAudit(req, { action: 'user.session_revoke', target: user, metadata: { ip: session.ip, userAgent: session.userAgent } });
+
+    res.json({ msg: 'Session revoked' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/:id/sign-out
+// @desc    Sign a user out everywhere: revoke all of their sessions, so every
+//          access and refresh token they hold stops working. Your own current
+//          session is kept when you do this to yourself.
+// @access  Private (users:write)
+router.post('/:id/sign-out', auth, requirePermission('users:write'), validate(schemas.byId), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({ msg: 'You cannot manage users with this role' });
+    }
+
+    const keep = user._id.equals(req.user._id) ? req.session?._id : undefined;
+    const { modifiedCount } = await revokeUserSessions(user._id, 'admin-sign-out', keep);
+    await recordAudit(req, { action: 'user.sign_out_everywhere', target: user, metadata: { sessions: modifiedCount } });
+
+    res.json({ msg: `Signed out of ${modifiedCount} session${modifiedCount === 1 ? '' : 's'}`, revoked: modifiedCount });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Who is behind an impersonation, as shown in the client's banner
+const impersonatorJSON = (actor) => ({ id: actor.id, name: actor.name, email: actor.email });
+
+// @route   POST api/users/:id/impersonate
+// @desc    Sign in as a user to see what they see. Returns a short-lived access
+//          token for them that also names you; it can't be refreshed and ends
+//          with POST /impersonate/stop or your own session. Only users whose role
+//          grants no permissions can be impersonated.
+// @access  Private (users:impersonate)
+router.post(
+  '/:id/impersonate',
+  auth,
+  requireSession,
+  notWhileImpersonating,
+  requirePermission('users:impersonate'),
+  validate(schemas.byId),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('-password');
+      if (!user) return res.status(404).json({ msg: 'User not found' });
+      if (user._id.equals(req.user._id)) return res.status(400).json({ msg: 'You cannot impersonate yourself' });
+      if (!user.isActiveNow()) return res.status(400).json({ msg: 'Inactive users cannot be impersonated' });
+      if ((await Role.permissionsFor(user.role)).length) {
+        return res.status(403).json({ msg: 'Users with admin permissions cannot be impersonated' });
+      }
+
+      const { token, expiresAt } = signImpersonationToken(user, req.user, req.session);
+      await recordAudit(req, { action: 'user.impersonate', target: user, metadata: { expiresAt } });
+
+      res.json({ token, expiresAt, user: { ...(await user.toAuthJSON()), impersonatedBy: impersonatorJSON(req.user) } });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// @route   POST api/users/impersonate/stop
+// @desc    End an impersonation and get an access token for your own account back
+// @access  Private (while impersonating)
+router.post('/impersonate/stop', auth, async (req, res) => {
+  try {
+    if (!req.impersonating) return res.status(400).json({ msg: 'You are not impersonating anyone' });
+
+    await recordAudit(req, { action: 'user.impersonate_stop', target: req.user });
+    const token = signAccessToken(req.actor, req.session);
+    res.json({ token, user: await req.actor.toAuthJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/refresh
+// @desc    Rotate the refresh token cookie and return a new access token
+// @access  Public (requires refresh token cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await rotateRefreshToken(req, res);
+    if (!session) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ msg: 'Session expired, please log in again' });
+    }
+
+    const user = await User.findOne({ _id: session.user, deletedAt: null }).select('-password');
+    if (!user || !user.isActiveNow()) {
+      if (user) await revokeUserSessions(user._id, 'user-deactivated');
+      clearRefreshCookie(res);
+      return res.status(401).json({ msg: 'Session expired, please log in again' });
+    }
+
+    const token = signAccessToken(user, session);
+    res.json({ token, user: await user.toAuthJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/logout
+// @desc    Revoke the current session server-side and clear the refresh cookie
+// @access  Public (requires refresh token cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken(req);
+    clearRefreshCookie(res);
+    res.json({ msg: 'Logged out' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET api/users/verify/:token
+// @desc    Confirm an email address from the emailed link
+// @access  Public
+router.get('/verify/:token', validate(schemas.verify), async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) return res.status(400).json({ msg: 'Verification link is invalid or has expired' });
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined; // single use
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    publishUserEvent('updated', user, user);
+
+    res.json({ msg: 'Email verified, you can now log in' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/verify/resend
+// @desc    Send a new verification link
+// @access  Public
+router.post('/verify/resend', validate(schemas.emailOnly), async (req, res) => {
+  // Same answer for unknown or already verified emails
+  const response = { msg: 'If that account still needs verifying, a new link has been sent' };
+  try {
+    const user = await User.findOne({ email: req.body.email, deletedAt: null });
+    if (user && !user.emailVerified) {
+      sendVerificationEmail(user).catch((mailError) => console.error('Verification mail error:', mailError.message));
+    }
+
+    res.json(response);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/forgot-password
+// @desc    Email a one-time password reset link
+// @access  Public
+router.post('/forgot-password', validate(schemas.emailOnly), async (req, res) => {
+  // Same answer whether or not the email exists, so accounts can't be enumerated
+  const response = { msg: 'If that email is registered, a reset link has been sent' };
+  try {
+    const user = await User.findOne({ email: req.body.email, deletedAt: null });
+    if (!user) return res.json(response);
+
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Not awaited: response time shouldn't reveal whether a mail was sent
+    sendMail({
+      to: user.email,
+      ...templates.passwordReset({
+        name: user.name,
+        url: clientUrl(`/reset-password/${token}`),
+        expiresInMinutes: User.PASSWORD_RESET_TTL_MINUTES,
+      }),
+    }).catch((mailError) => console.error('Password reset mail error:', mailError.message));
+
+    res.json(response);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST api/users/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) return res.status(400).json({ msg: 'Reset link is invalid or has expired' });
+
+    user.password = password; // hashed by the pre-save hook
+    user.passwordResetTokenHash = undefined; // single use
+    user.passwordResetExpires = undefined;
+    user.failedLoginAttempts = 0; // proving the mailbox lifts a lockout
+    user.lockedUntil = null;
+    await user.save();
+
+    // Anyone holding an old session is signed out
+    await revokeUserSessions(user._id, 'password-reset');
+    await recordAudit(req, { action: 'user.password_reset', actor: user, target: user });
+    publishUserEvent('updated', user, user);
+
+    res.json({ msg: 'Password has been reset, you can now log in' });
   } catch (error) {
-    res.status(500).json({ msg: 'Server error' });
+    sendError(res, error);
   }
 });
 
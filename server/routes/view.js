@@ -0,0 +1,91 @@
+// routes/view.js
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const SavedView = require('../models/SavedView');
+const { pickViewParams, parseFilterExpression, SORT_FIELDS, DEFAULT_SORT } = require('../utils/userFilter');
+const { parseSort } = require('../utils/pagination');
+
+const MAX_VIEWS = 50;
+
+// Known list params, refusing an expression or sort the list couldn't run (FilterError)
+const checkedParams = (input) => {
+  const params = pickViewParams(input);
+  parseFilterExpression(params.q);
+  if (params.sort !== 'relevance') parseSort(params.sort, { fields: SORT_FIELDS, fallback: DEFAULT_SORT });
+  return params;
+};
+
+// @route   GET api/views
+// @desc    List the signed-in admin's saved user-list views
+// @access  Private (users:read)
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const views = await SavedView.find({ owner: req.user._id }).sort({ name: 1 });
+    res.json(views);
+  } catch (error) {
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   POST api/views
+// @desc    Save the current filters and sort under a name
+// @access  Private (users:read)
+router.post('/', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const params = checkedParams(req.body.params);
+
+    if ((await SavedView.countDocuments({ owner: req.user._id })) >= MAX_VIEWS) {
+      return res.status(400).json({ msg: `You can keep at most ${MAX_VIEWS} saved views` });
+    }
+
+    const view = await SavedView.create({ owner: req.user._id, name: req.body.name, params });
+    res.status(201).json(view);
+  } catch (error) {
+    if (error.name === 'FilterError') return res.status(400).json({ msg: error.message });
+    if (error.code === 11000) return res.status(400).json({ msg: 'You already have a view with this name' });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ msg: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   PUT api/views/:id
+// @desc    Rename a view or replace its filters
+// @access  Private (users:read, own views only)
+router.put('/:id', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const view = await SavedView.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!view) return res.status(404).json({ msg: 'View not found' });
+
+    if (req.body.name !== undefined) view.name = req.body.name;
+    if (req.body.params !== undefined) {
+      view.params = checkedParams(req.body.params);
+    }
+    await view.save();
+    res.json(view);
+  } catch (error) {
+    if (error.name === 'FilterError') return res.status(400).json({ msg: error.message });
+    if (error.code === 11000) return res.status(400).json({ msg: 'You already have a view with this name' });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ msg: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+// @route   DELETE api/views/:id
+// @desc    Delete one of your saved views
+// @access  Private (users:read, own views only)
+router.delete('/:id', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const view = await SavedView.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!view) return res.status(404).json({ msg: 'View not found' });
+    res.json({ msg: 'View deleted' });
+  } catch (error) {
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// scripts/mockOidc.js
+// Local OpenID Connect provider for trying SSO without a real one:
+//   npm run mock-oidc
+// then start the API with OIDC_ISSUER=http://localhost:8080 OIDC_CLIENT_ID=local.
+// Every login is approved at once as the identity below; MOCK_OIDC_* overrides it.
+// The tests start their own with startMockOidc() and swap `identity` per case.
+const { OAuth2Server } = require('oauth2-mock-server');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 8080;
+
+const defaultIdentity = () => ({
+  sub: process.env.MOCK_OIDC_SUB || 'mock-user-1',
+  email: process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com',
+  email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+  name: process.env.MOCK_OIDC_NAME || 'SSO User',
+  groups: (process.env.MOCK_OIDC_GROUPS || 'staff').split(',').filter(Boolean),
+});
+
+// Resolves to { url, identity, stop }; whatever `identity` holds at login time is who signs in
+const startMockOidc = async ({ port = PORT, identity = defaultIdentity() } = {}) => {
+  const server = new OAuth2Server();
+  await server.issuer.keys.generate('RS256');
+  const provider = { identity, stop: () => server.stop() };
+
+  // The mock always signs in "johndoe"; swap in the configured identity
+  server.service.on('beforeTokenSigning', (token) => Object.assign(token.payload, provider.identity));
+  server.service.on('beforeUserinfo', (userinfo) => {
+    userinfo.body = provider.identity;
+  });
+
+  await server.start(port, 'localhost');
+  provider.url = server.issuer.url;
+  return provider;
+};
+
+if (require.main === module) {
+  startMockOidc()
+    .then(({ url, identity }) => console.log(`Mock OIDC provider at ${url}, signing everyone in as ${identity.email}`))
+    .catch((error) => {
+      console.error('Mock OIDC provider failed to start:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startMockOidc };
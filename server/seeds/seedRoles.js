@@ -0,0 +1,34 @@
+const Role = require("../models/Role");
+
+// Roles every installation starts with
+const defaultRoles = [
+  {
+    name: "admin",
+    description: "Full access to everything",
+    permissions: Role.PERMISSIONS,
+    isSystem: true,
+  },
+  {
+    name: "user",
+    description: "Regular account, self-service only",
+    permissions: [],
+    isSystem: true,
+  },
+  {
+    name: "support",
+    description: "Can look people up but not change them",
+    permissions: ["users:read"],
+    isSystem: false,
+  },
+];
+
+// Create missing default roles; existing ones keep their edits,
+// except admin which always holds every permission
+const seedRoles = async () => {
+  for (const role of defaultRoles) {
+    await Role.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true });
+  }
+  await Role.updateOne({ name: "admin" }, { $set: { permissions: Role.PERMISSIONS, isSystem: true } });
+};
+
+module.exports = seedRoles;
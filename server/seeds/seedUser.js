@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const User = require("../models/User");
+const seedRoles = require("./seedRoles");
 require('dotenv').config();  //load environment variables from .env file
 
 // Sample users to insert
@@ -9,18 +10,21 @@ const users = [
     email: "admin@example.com",
     password: "admin123", // will be hashed by pre-save hook
     role: "admin",
+    emailVerified: true,
   },
   {
     name: "John Doe",
     email: "john@example.com",
     password: "password123",
     role: "user",
+    emailVerified: true,
   },
   {
     name: "Jane Smith",
     email: "jane@example.com",
     password: "password123",
     role: "user",
+    emailVerified: true,
   },
 ];
 
@@ -33,6 +37,9 @@ const seedUsers = async () => {
     });
     console.log("✅ MongoDB Connected...");
 
+    // ✅ Make sure the roles users point at exist
+    await seedRoles();
+
     // ❌ Clear existing users (optional, to avoid duplicates)
     await User.deleteMany();
     console.log("🗑️ Users collection cleared.");
@@ -2,14 +2,23 @@ require('dotenv').config();  //load environment variables from .env file
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const User = require('./models/User');
+const seedRoles = require('./seeds/seedRoles');
+const { startJobs } = require('./jobs');
+const { startUserEvents } = require('./utils/userEvents');
 
 
 const app = express();
 
+// Behind a reverse proxy req.ip would be the proxy's; per-IP rate limits need the client's
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
 
 //middlewares
+app.use('/api/users/import', express.json({ limit: '5mb' })); // uploaded CSV/JSON files
 app.use(express.json());
+app.use(cookieParser()); // Refresh tokens arrive in an httpOnly cookie
 app.use(cors({
   origin: [
     "http://ec2-16-171-132-75.eu-north-1.compute.amazonaws.com", 
@@ -22,7 +31,16 @@ app.use(cors({
 
 
 // Routes
+app.use('/api/users/me/api-keys', require('./routes/apiKey'));
+app.use('/api/users/me', require('./routes/account')); // before /api/users so "me" isn't taken as an :id
 app.use('/api/users', require('./routes/user'));
+app.use('/api/invites', require('./routes/invite'));
+app.use('/api/roles', require('./routes/role'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/views', require('./routes/view'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/stats', require('./routes/stats'));
+app.use('/api/auth/oidc', require('./routes/sso'));
 
 const connectDB = async ()=>{
     try {
@@ -31,9 +49,21 @@ const connectDB = async ()=>{
             useUnifiedTopology:true,
         })
         console.log('MongoDB connected successfully!');
+
+        // Accounts created before email verification existed are trusted as-is
+        await User.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } });
         
+        // Roles first: users reference them by name
+        await seedRoles();
+
         // Seed users after successful DB connection
         await seedUsers();
+
+        // Live updates for admins watching the user list
+        await startUserEvents();
+
+        // Scheduled maintenance (trash purge, ...)
+        startJobs();
     }
     catch  (error) {
         console.error('MongoDB connection error:', error);
@@ -59,28 +89,32 @@ const seedUsers = async () => {
                 email: 'admin@example.com',
                 password: 'admin123',
                 role: 'admin',
-                isActive: true
+                isActive: true,
+                emailVerified: true
             },
             {
                 name: 'John Doe',
                 email: 'john@example.com',
                 password: 'user123',
                 role: 'user',
-                isActive: true
+                isActive: true,
+                emailVerified: true
             },
             {
                 name: 'Jane Smith',
                 email: 'jane@example.com',
                 password: 'user123',
                 role: 'user',
-                isActive: true
+                isActive: true,
+                emailVerified: true
             },
             {
                 name: 'Bob Wilson',
                 email: 'bob@example.com',
                 password: 'user123',
                 role: 'user',
-                isActive: false
+                isActive: false,
+                emailVerified: true
             }
         ];
 
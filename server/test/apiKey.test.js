@@ -0,0 +1,106 @@
+// test/apiKey.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createApp, makeUser, signIn, stubDirectory, captureAudit } = require('./helpers');
+const ApiKey = require('../models/ApiKey');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const app = createApp({ '/api/users/me/api-keys': require('../routes/apiKey') });
+
+// Stand-in routes guarded the way the real ones are
+const ok = (req, res) => res.json({ id: req.user.id });
+app.get('/read', auth, requirePermission('users:read'), ok);
+app.get('/write', auth, requirePermission('users:write'), ok);
+
+const ROLES = { admin: ['users:read', 'users:write'], user: [] };
+
+// An API key for `user` as findByKey would return it
+const stubApiKey = (t, user, fields = {}) => {
+  const key = new ApiKey({ user: user._id, name: 'script', keyHash: 'hash', prefix: 'uak_abcdef', ...fields });
+  const touched = [];
+  t.mock.method(ApiKey, 'findByKey', async (presented) => (presented === 'uak_valid' ? key : null));
+  t.mock.method(ApiKey, 'updateOne', async (filter, update) => touched.push(update));
+  return { key, touched };
+};
+
+const setUp = (t) => {
+  const admin = makeUser({ role: 'admin' });
+  const { session, headers } = signIn(admin);
+  stubDirectory(t, { users: [admin], sessions: [session], roles: ROLES });
+  const audits = captureAudit(t);
+  const created = [];
+  t.mock.method(ApiKey, 'countDocuments', async () => created.length);
+  t.mock.method(ApiKey, 'create', async (fields) => {
+    const key = new ApiKey(fields);
+    created.push(key);
+    return key;
+  });
+  return { headers, created, audits };
+};
+
+test('a new key is shown once, stored hashed and scoped to the role by default', async (t) => {
+  const { headers, created, audits } = setUp(t);
+
+  const res = await request(app).post('/api/users/me/api-keys').set(headers).send({ name: 'export script' }).expect(201);
+
+  assert.match(res.body.key, /^uak_/);
+  assert.deepStrictEqual(res.body.apiKey.scopes, ROLES.admin);
+  assert.strictEqual(res.body.apiKey.keyHash, undefined);
+  assert.strictEqual(created[0].keyHash.length, 64);
+  assert.ok(!created[0].keyHash.includes(res.body.key));
+  assert.strictEqual(audits[0].action, 'user.api_key_create');
+});
+
+test('a key cannot be scoped past what the role grants', async (t) => {
+  const { headers, created } = setUp(t);
+
+  const res = await request(app)
+    .post('/api/users/me/api-keys')
+    .set(headers)
+    .send({ name: 'too much', scopes: ['users:read', 'roles:manage'] })
+    .expect(403);
+
+  assert.match(res.body.errors.scopes, /roles:manage/);
+  assert.strictEqual(created.length, 0);
+});
+
+test('an API key reaches only what both its scopes and its role allow', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  const roles = { ...ROLES };
+  stubDirectory(t, { users: [admin], roles });
+  const { touched } = stubApiKey(t, admin, { scopes: ['users:read'] });
+
+  const res = await request(app).get('/read').set('X-API-Key', 'uak_valid').expect(200);
+  assert.strictEqual(res.body.id, admin.id);
+  assert.strictEqual(touched.length, 1, 'last use is recorded');
+  await request(app).get('/write').set('X-API-Key', 'uak_valid').expect(403);
+
+  // Shrinking the role shrinks its keys
+  roles.admin = ['users:write'];
+  await request(app).get('/read').set('X-API-Key', 'uak_valid').expect(403);
+});
+
+test('unknown, revoked and expired API keys are refused', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  stubDirectory(t, { users: [admin], roles: ROLES });
+  const { key } = stubApiKey(t, admin, { scopes: ['users:read'] });
+
+  await request(app).get('/read').set('X-API-Key', 'uak_unknown').expect(401);
+  key.revokedAt = new Date();
+  await request(app).get('/read').set('X-API-Key', 'uak_valid').expect(401);
+  key.revokedAt = null;
+  key.expiresAt = new Date(Date.now() - 1000);
+  await request(app).get('/read').set('X-API-Key', 'uak_valid').expect(401);
+});
+
+test('keys cannot be managed with an API key', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  stubDirectory(t, { users: [admin], roles: ROLES });
+  stubApiKey(t, admin, { scopes: ROLES.admin });
+  const create = t.mock.method(ApiKey, 'create');
+
+  const res = await request(app).post('/api/users/me/api-keys').set('X-API-Key', 'uak_valid').send({ name: 'more' }).expect(403);
+  assert.strictEqual(res.body.code, 'SESSION_REQUIRED');
+  assert.strictEqual(create.mock.callCount(), 0);
+});
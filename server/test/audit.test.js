@@ -0,0 +1,34 @@
+// test/audit.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { query, createApp, makeUser, signIn, stubDirectory } = require('./helpers');
+const AuditEvent = require('../models/AuditEvent');
+
+const app = createApp({ '/api/audit': require('../routes/audit') });
+
+const setUp = (t) => {
+  const auditor = makeUser({ role: 'auditor' });
+  const { session, headers } = signIn(auditor);
+  stubDirectory(t, { users: [auditor], sessions: [session], roles: { auditor: ['audit:read'] } });
+  const find = t.mock.method(AuditEvent, 'find', () => query([]));
+  t.mock.method(AuditEvent, 'countDocuments', async () => 0);
+  return { headers, filter: () => find.mock.calls[0].arguments[0] };
+};
+
+test('actions can be given comma-separated, repeated or both', async (t) => {
+  const { headers, filter } = setUp(t);
+
+  await request(app).get('/api/audit?action=user.login,user.create&action=role.update').set(headers).expect(200);
+  assert.deepStrictEqual(filter().action, { $in: ['user.login', 'user.create', 'role.update'] });
+});
+
+test('malformed filters get a 400 instead of a server error', async (t) => {
+  const { headers } = setUp(t);
+
+  const actor = await request(app).get('/api/audit?actor=not-an-id').set(headers).expect(400);
+  assert.ok(actor.body.errors.actor);
+  await request(app).get('/api/audit?from=yesterday').set(headers).expect(400);
+  await request(app).get('/api/audit?search=a&search=b').set(headers).expect(400);
+  assert.strictEqual(AuditEvent.find.mock.callCount(), 0);
+});
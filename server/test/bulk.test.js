@@ -0,0 +1,48 @@
+// test/bulk.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { query, createApp, makeUser, signIn, stubDirectory, stubUpdate, captureAudit } = require('./helpers');
+const User = require('../models/User');
+
+const app = createApp({ '/api/users': require('../routes/user') });
+
+const ROLES = { admin: ['users:read', 'users:write'], user: [] };
+
+// `count` users matching any filter; records the limit the route asked the query for
+const setUp = (t, count) => {
+  const admin = makeUser({ role: 'admin' });
+  const { session, headers } = signIn(admin);
+  stubDirectory(t, { users: [admin], sessions: [session], roles: ROLES });
+  captureAudit(t);
+  const matching = Array.from({ length: count }, () => makeUser());
+  const asked = {};
+  t.mock.method(User, 'find', () => {
+    const found = query(matching);
+    found.select = () => found;
+    found.limit = (limit) => {
+      asked.limit = limit;
+      return query(matching.slice(0, limit));
+    };
+    return found;
+  });
+  stubUpdate(t, User, matching);
+  return { headers, matching, asked };
+};
+
+test('a filter matching more than the cap is refused without loading every match', async (t) => {
+  const { headers, matching, asked } = setUp(t, 600);
+
+  const res = await request(app).post('/api/users/bulk').set(headers).send({ action: 'deactivate', filter: {} }).expect(400);
+  assert.match(res.body.msg, /limited to 500/);
+  assert.strictEqual(asked.limit, 501);
+  assert.ok(matching.every((user) => user.isActive));
+});
+
+test('a filter within the cap acts on everyone it matches', async (t) => {
+  const { headers, matching } = setUp(t, 3);
+
+  const res = await request(app).post('/api/users/bulk').set(headers).send({ action: 'deactivate', filter: {} }).expect(200);
+  assert.strictEqual(res.body.succeeded, 3);
+  assert.ok(matching.every((user) => !user.isActive));
+});
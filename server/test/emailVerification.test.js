@@ -0,0 +1,33 @@
+// test/emailVerification.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createApp, makeUser, stubFind, stubSave } = require('./helpers');
+const User = require('../models/User');
+
+const app = createApp({ '/api/users': require('../routes/user') });
+
+const setUp = (t, user) => {
+  stubFind(t, User, [user]);
+  stubSave(t, User);
+};
+
+test('a verification link works once', async (t) => {
+  const user = makeUser({ emailVerified: false });
+  setUp(t, user);
+  const token = user.createEmailVerificationToken();
+
+  await request(app).get(`/api/users/verify/${token}`).expect(200);
+  assert.strictEqual(user.emailVerified, true);
+  await request(app).get(`/api/users/verify/${token}`).expect(400);
+});
+
+test('a link issued before the account was trashed no longer verifies it', async (t) => {
+  const user = makeUser({ emailVerified: false });
+  setUp(t, user);
+  const token = user.createEmailVerificationToken();
+  user.deletedAt = new Date();
+
+  await request(app).get(`/api/users/verify/${token}`).expect(400);
+  assert.strictEqual(user.emailVerified, false);
+});
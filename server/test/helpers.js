@@ -0,0 +1,178 @@
+// test/helpers.js
+// Shared setup for the server tests (npm test runs them with node --test).
+// There is no database here: each test stands in for the model calls the code
+// under test makes, using t.mock.method(...), so it's restored after the test.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = path.join(os.tmpdir(), `user-admin-test-mail-${process.pid}`);
+process.on('exit', () => require('fs').rmSync(process.env.MAIL_FILE_DIR, { recursive: true, force: true }));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const { generateToken, hashToken, signAccessToken } = require('../utils/tokens');
+
+// A model call a test didn't stand in for fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Stands in for a mongoose Query: chainable like one, resolves to `result`
+const query = (result) => {
+  const stub = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    exec: () => Promise.resolve(result),
+  };
+  for (const method of ['select', 'sort', 'limit', 'skip', 'lean', 'populate', 'session']) stub[method] = () => stub;
+  return stub;
+};
+
+// Whether a document matches a (simple) query filter: equality, null for
+// "missing", array fields containing the value, and $gt / $ne / $in
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === '$gt') return value > operand;
+        if (operator === '$ne') return !matches(doc, { [field]: operand });
+        if (operator === '$in') return operand.some((option) => matches(doc, { [field]: option }));
+        throw new Error(`matches() does not know ${operator}`);
+      });
+    }
+    if (condition === null) return value === null || value === undefined;
+    const same = (item) => String(item) === String(condition);
+    return Array.isArray(value) ? value.some(same) : same(value);
+  });
+
+// Model.findOne / Model.find over an array of documents
+const stubFind = (t, Model, docs) => {
+  t.mock.method(Model, 'findOne', (filter = {}) => query(docs.find((doc) => matches(doc, filter)) || null));
+  t.mock.method(Model, 'find', (filter = {}) => query(docs.filter((doc) => matches(doc, filter))));
+};
+
+// Apply an update ($set, $inc, $push or plain fields) to a document in memory
+const applyUpdate = (doc, update) => {
+  const { $set = {}, $inc = {}, $push = {}, ...fields } = update;
+  for (const [field, value] of Object.entries({ ...fields, ...$set })) doc.set(field, value);
+  for (const [field, by] of Object.entries($inc)) doc.set(field, (doc.get(field) || 0) + by);
+  for (const [field, value] of Object.entries($push)) doc.get(field).push(value);
+  return doc;
+};
+
+// Model.findOneAndUpdate / updateOne / updateMany over an array of documents
+const stubUpdate = (t, Model, docs) => {
+  const updateAll = (filter, update, limit) => {
+    const matched = docs.filter((doc) => matches(doc, filter)).slice(0, limit);
+    matched.forEach((doc) => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  };
+  t.mock.method(Model, 'findOneAndUpdate', (filter, update) => {
+    const doc = docs.find((candidate) => matches(candidate, filter));
+    return query(doc ? applyUpdate(doc, update) : null);
+  });
+  t.mock.method(Model, 'updateOne', async (filter, update) => updateAll(filter, update, 1));
+  t.mock.method(Model, 'updateMany', async (filter, update) => updateAll(filter, update));
+};
+
+// save() that keeps the document in memory
+const stubSave = (t, Model) =>
+  t.mock.method(Model.prototype, 'save', async function () {
+    return this;
+  });
+
+// The app the way server.js sets it up, with only the given routers mounted
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  for (const [mountPath, router] of Object.entries(routes)) app.use(mountPath, router);
+  return app;
+};
+
+let emailCount = 0;
+const makeUser = (fields = {}) =>
+  new User({
+    name: 'Test User',
+    email: `user${++emailCount}@example.com`,
+    password: 'secret123',
+    role: 'user',
+    emailVerified: true,
+    ...fields,
+  });
+
+const makeSession = (user, fields = {}) =>
+  new Session({
+    user: user._id,
+    tokenHash: hashToken(generateToken()),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+  });
+
+// A live session for `user` and a Bearer header for it
+const signIn = (user) => {
+  const session = makeSession(user);
+  return { session, headers: { Authorization: `Bearer ${signAccessToken(user, session)}` } };
+};
+
+// What the auth middleware and requirePermission read: users and sessions by id,
+// permissions by role name ({ admin: [...], user: [] })
+const stubDirectory = (t, { users = [], sessions = [], roles = {} }) => {
+  const byId = (docs) => (id) => query(docs.find((doc) => doc._id.equals(id)) || null);
+  t.mock.method(User, 'findById', byId(users));
+  t.mock.method(Session, 'findById', byId(sessions));
+  t.mock.method(Role, 'permissionsFor', async (name) => roles[name] || []);
+  t.mock.method(Role, 'isAssignableBy', async (name, permissions) =>
+    !!roles[name] && roles[name].every((permission) => permissions.includes(permission))
+  );
+};
+
+// Collects what recordAudit writes, instead of writing it
+const captureAudit = (t) => {
+  const events = [];
+  t.mock.method(AuditEvent, 'create', async (event) => {
+    events.push(event);
+    return event;
+  });
+  return events;
+};
+
+// The refresh cookie a response set, as "refreshToken=<value>"
+const refreshCookie = (res) =>
+  (res.headers['set-cookie'] || []).map((cookie) => cookie.split(';')[0]).find((cookie) => cookie.startsWith('refreshToken='));
+
+// Mail the file transport wrote to `to`. Routes don't await their mail, so wait a little for it.
+const mailTo = async (to, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const names = await fs.readdir(process.env.MAIL_FILE_DIR).catch(() => []);
+    const messages = await Promise.all(
+      names.map(async (name) => JSON.parse(await fs.readFile(path.join(process.env.MAIL_FILE_DIR, name), 'utf8')))
+    );
+    const received = messages.filter((message) => message.to === to);
+    if (received.length || Date.now() > deadline) return received;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+module.exports = {
+  query,
+  matches,
+  stubFind,
+  stubUpdate,
+  stubSave,
+  createApp,
+  makeUser,
+  makeSession,
+  signIn,
+  stubDirectory,
+  captureAudit,
+  refreshCookie,
+  mailTo,
+};
@@ -0,0 +1,89 @@
+// test/impersonation.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createApp, makeUser, signIn, stubDirectory, stubFind, captureAudit } = require('./helpers');
+const User = require('../models/User');
+
+const app = createApp({
+  '/api/users/me': require('../routes/account'),
+  '/api/users': require('../routes/user'),
+});
+
+const ROLES = { admin: ['users:read', 'users:impersonate'], support: ['users:read'], user: [] };
+
+const setUp = (t) => {
+  const admin = makeUser({ role: 'admin', name: 'Ada Admin' });
+  const member = makeUser();
+  const support = makeUser({ role: 'support' });
+  const inactive = makeUser({ isActive: false });
+  const users = [admin, member, support, inactive];
+  const { session, headers } = signIn(admin);
+  stubDirectory(t, { users, sessions: [session], roles: ROLES });
+  stubFind(t, User, users);
+  const audits = captureAudit(t);
+  return { admin, member, support, inactive, headers, audits };
+};
+
+// Sign in as `user` and return headers carrying the impersonation token
+const impersonate = async (headers, user) => {
+  const res = await request(app).post(`/api/users/${user.id}/impersonate`).set(headers).expect(200);
+  return { res, headers: { Authorization: `Bearer ${res.body.token}` } };
+};
+
+test('an admin can act as a user, and every request names them', async (t) => {
+  const { admin, member, headers, audits } = setUp(t);
+
+  const { res, headers: asMember } = await impersonate(headers, member);
+  assert.strictEqual(jwt.decode(res.body.token).act.sub, admin.id);
+  assert.strictEqual(res.body.user.impersonatedBy.id, admin.id);
+  assert.strictEqual(audits.at(-1).action, 'user.impersonate');
+  assert.strictEqual(String(audits.at(-1).actor), admin.id);
+
+  const me = await request(app).get('/api/users/me').set(asMember).expect(200);
+  assert.strictEqual(me.body.id, member.id);
+  assert.strictEqual(me.body.impersonatedBy.email, admin.email);
+
+  const stop = await request(app).post('/api/users/impersonate/stop').set(asMember).expect(200);
+  assert.strictEqual(jwt.decode(stop.body.token).id, admin.id);
+  assert.strictEqual(jwt.decode(stop.body.token).act, undefined);
+});
+
+test('admins, inactive users and yourself cannot be impersonated', async (t) => {
+  const { admin, support, inactive, headers } = setUp(t);
+
+  await request(app).post(`/api/users/${support.id}/impersonate`).set(headers).expect(403);
+  await request(app).post(`/api/users/${inactive.id}/impersonate`).set(headers).expect(400);
+  await request(app).post(`/api/users/${admin.id}/impersonate`).set(headers).expect(400);
+});
+
+test('while impersonating, credentials and further impersonation are off limits', async (t) => {
+  const { member, support, headers } = setUp(t);
+  const { headers: asMember } = await impersonate(headers, member);
+
+  const password = await request(app)
+    .put('/api/users/me')
+    .set(asMember)
+    .send({ currentPassword: 'secret123', newPassword: 'taken-over' })
+    .expect(403);
+  assert.strictEqual(password.body.code, 'IMPERSONATING');
+
+  // A new email would let the admin reset the password through it
+  const email = await request(app).put('/api/users/me').set(asMember).send({ email: 'admin-owned@example.com' }).expect(403);
+  assert.strictEqual(email.body.code, 'IMPERSONATING');
+  assert.notStrictEqual(member.email, 'admin-owned@example.com');
+
+  const twoFactor = await request(app).post('/api/users/me/2fa/setup').set(asMember).expect(403);
+  assert.strictEqual(twoFactor.body.code, 'IMPERSONATING');
+
+  await request(app).post(`/api/users/${support.id}/impersonate`).set(asMember).expect(403);
+});
+
+test('users without the permission cannot impersonate', async (t) => {
+  const { member, support } = setUp(t);
+  const { session, headers } = signIn(support);
+  stubDirectory(t, { users: [member, support], sessions: [session], roles: ROLES });
+
+  await request(app).post(`/api/users/${member.id}/impersonate`).set(headers).expect(403);
+});
@@ -0,0 +1,38 @@
+// test/pagination.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { parseSort, encodeCursor, cursorCondition } = require('../utils/pagination');
+
+const sort = parseSort('lastLoginAt:desc', { fields: ['name', 'lastLoginAt'], fallback: 'name:asc' });
+const id = new mongoose.Types.ObjectId().toString();
+const cursorOf = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('a cursor picks up right after the row it was made from', () => {
+  const lastLoginAt = new Date('2024-05-01T10:00:00Z');
+  const condition = cursorCondition(encodeCursor({ _id: id, lastLoginAt }, sort), sort);
+
+  assert.deepStrictEqual(condition.$or[0], { lastLoginAt: { $lt: lastLoginAt } });
+  assert.strictEqual(String(condition.$or[1]._id.$lt), id);
+  assert.deepStrictEqual(condition.$or[2], { lastLoginAt: null });
+});
+
+test('a cursor cannot smuggle in query operators', () => {
+  const forged = [
+    { s: sort.key, v: { $ne: null }, id },
+    { s: sort.key, v: ['a'], id },
+    { s: sort.key, v: 'not a date', d: 1, id },
+    { s: sort.key, v: null, id: { $gt: '' } },
+    { s: sort.key, id },
+  ];
+
+  for (const payload of forged) {
+    assert.throws(() => cursorCondition(cursorOf(payload), sort), { name: 'FilterError' }, JSON.stringify(payload));
+  }
+  assert.throws(() => cursorCondition('%%%', sort), { name: 'FilterError' });
+});
+
+test('a cursor made for another sort is refused', () => {
+  const other = parseSort('name:asc', { fields: ['name'], fallback: 'name:asc' });
+  assert.throws(() => cursorCondition(encodeCursor({ _id: id, name: 'Ann' }, other), sort), /different sort/);
+});
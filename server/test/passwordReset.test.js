@@ -0,0 +1,70 @@
+// test/passwordReset.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createApp, makeUser, stubFind, stubSave, captureAudit, mailTo } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+const app = createApp({ '/api/users': require('../routes/user') });
+
+// The token from the link in the last reset mail sent to `email`
+const mailedToken = async (email) => {
+  const [message] = (await mailTo(email)).slice(-1);
+  assert.ok(message, `no reset mail for ${email}`);
+  return message.text.match(/\/reset-password\/([a-f0-9]+)/)[1];
+};
+
+const setUp = (t, user) => {
+  stubFind(t, User, [user]);
+  stubSave(t, User);
+  captureAudit(t);
+  const revoked = [];
+  t.mock.method(Session, 'updateMany', async (filter, update) => revoked.push({ filter, update }));
+  return { revoked };
+};
+
+test('a mailed reset link sets a new password once and signs out old sessions', async (t) => {
+  const user = makeUser();
+  const { revoked } = setUp(t, user);
+
+  await request(app).post('/api/users/forgot-password').send({ email: user.email }).expect(200);
+  const token = await mailedToken(user.email);
+  assert.notStrictEqual(user.passwordResetTokenHash, token, 'only a hash of the token is stored');
+
+  await request(app).post('/api/users/reset-password').send({ token, password: 'brand-new-pass' }).expect(200);
+  assert.strictEqual(user.password, 'brand-new-pass');
+  assert.strictEqual(user.passwordResetTokenHash, undefined);
+  assert.strictEqual(revoked.length, 1);
+  assert.strictEqual(String(revoked[0].filter.user), user.id);
+
+  const again = await request(app).post('/api/users/reset-password').send({ token, password: 'another-pass' }).expect(400);
+  assert.match(again.body.msg, /invalid or has expired/);
+});
+
+test('forgot-password answers the same for unknown emails and sends nothing', async (t) => {
+  setUp(t, makeUser());
+  const res = await request(app).post('/api/users/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+  assert.match(res.body.msg, /If that email is registered/);
+  assert.deepStrictEqual(await mailTo('nobody@example.com', 200), []);
+});
+
+test('an expired reset token is refused', async (t) => {
+  const user = makeUser();
+  setUp(t, user);
+  const token = user.createPasswordResetToken();
+  user.passwordResetExpires = new Date(Date.now() - 1000);
+
+  await request(app).post('/api/users/reset-password').send({ token, password: 'brand-new-pass' }).expect(400);
+  assert.strictEqual(user.password, 'secret123');
+});
+
+test('a link issued before the account was trashed no longer works', async (t) => {
+  const user = makeUser();
+  setUp(t, user);
+  const token = user.createPasswordResetToken();
+  user.deletedAt = new Date();
+
+  await request(app).post('/api/users/reset-password').send({ token, password: 'brand-new-pass' }).expect(400);
+  assert.strictEqual(user.password, 'secret123');
+});
@@ -0,0 +1,71 @@
+// test/permissions.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createApp, makeUser, signIn, stubDirectory } = require('./helpers');
+const { auth, requirePermission, requireSession } = require('../middleware/auth');
+
+// Stand-in routes guarded the way the real ones are
+const app = createApp({});
+const ok = (req, res) => res.json({ id: req.user.id });
+app.get('/read', auth, requirePermission('users:read'), ok);
+app.get('/write', auth, requirePermission('users:write'), ok);
+app.get('/session-only', auth, requireSession, ok);
+
+const ROLES = { admin: ['users:read', 'users:write'], user: [] };
+
+test('requests without a valid token are turned away', async (t) => {
+  stubDirectory(t, { roles: ROLES });
+  await request(app).get('/read').expect(401);
+  await request(app).get('/read').set('Authorization', 'Bearer not-a-token').expect(401);
+});
+
+test('a role gets exactly the permissions it grants', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  const member = makeUser();
+  const adminLogin = signIn(admin);
+  const memberLogin = signIn(member);
+  stubDirectory(t, { users: [admin, member], sessions: [adminLogin.session, memberLogin.session], roles: ROLES });
+
+  await request(app).get('/write').set(adminLogin.headers).expect(200);
+  const res = await request(app).get('/read').set(memberLogin.headers).expect(403);
+  assert.strictEqual(res.body.msg, 'Missing permission: users:read');
+});
+
+test('unverified accounts keep self-service access only', async (t) => {
+  const admin = makeUser({ role: 'admin', emailVerified: false });
+  const { session, headers } = signIn(admin);
+  stubDirectory(t, { users: [admin], sessions: [session], roles: ROLES });
+
+  const res = await request(app).get('/read').set(headers).expect(403);
+  assert.strictEqual(res.body.code, 'EMAIL_NOT_VERIFIED');
+  await request(app).get('/session-only').set(headers).expect(200);
+});
+
+test('a deactivated account loses access at once', async (t) => {
+  const admin = makeUser({ role: 'admin' });
+  const { session, headers } = signIn(admin);
+  stubDirectory(t, { users: [admin], sessions: [session], roles: ROLES });
+
+  await request(app).get('/read').set(headers).expect(200);
+  admin.isActive = false;
+  const res = await request(app).get('/read').set(headers).expect(401);
+  assert.strictEqual(res.body.code, 'ACCOUNT_INACTIVE');
+});
+
+test('TWO_FACTOR_POLICY=admins keeps admins without 2FA out of admin routes', async (t) => {
+  process.env.TWO_FACTOR_POLICY = 'admins';
+  t.after(() => delete process.env.TWO_FACTOR_POLICY);
+  const admin = makeUser({ role: 'admin' });
+  const member = makeUser();
+  const adminLogin = signIn(admin);
+  const memberLogin = signIn(member);
+  stubDirectory(t, { users: [admin, member], sessions: [adminLogin.session, memberLogin.session], roles: ROLES });
+
+  const res = await request(app).get('/read').set(adminLogin.headers).expect(403);
+  assert.strictEqual(res.body.code, 'TWO_FACTOR_SETUP_REQUIRED');
+  await request(app).get('/session-only').set(memberLogin.headers).expect(200);
+
+  admin.twoFactorEnabled = true;
+  await request(app).get('/read').set(adminLogin.headers).expect(200);
+});
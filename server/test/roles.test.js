@@ -0,0 +1,123 @@
+// test/roles.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { query, createApp, makeUser, signIn, stubDirectory, stubFind, stubUpdate, stubSave, captureAudit } = require('./helpers');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const { subscribeUserEvents } = require('../utils/userEvents');
+
+const app = createApp({ '/api/roles': require('../routes/role') });
+
+const ROLES = { manager: ['users:read', 'roles:manage'], user: [] };
+
+const setUp = (t) => {
+  const manager = makeUser({ role: 'manager' });
+  const { session, headers } = signIn(manager);
+  stubDirectory(t, { users: [manager], sessions: [session], roles: ROLES });
+  captureAudit(t);
+
+  const roles = [
+    new Role({ name: 'manager', permissions: ROLES.manager }),
+    new Role({ name: 'auditor', permissions: ['audit:read'] }),
+  ];
+  t.mock.method(Role, 'exists', async () => null);
+  t.mock.method(Role, 'create', async (fields) => new Role(fields));
+  t.mock.method(Role, 'findById', (id) => query(roles.find((role) => role._id.equals(id)) || null));
+  stubSave(t, Role);
+  return { manager, headers, roles };
+};
+
+test('a role can be created with permissions you hold, not others', async (t) => {
+  const { headers } = setUp(t);
+
+  await request(app).post('/api/roles').set(headers).send({ name: 'reader', permissions: ['users:read'] }).expect(201);
+
+  const res = await request(app)
+    .post('/api/roles')
+    .set(headers)
+    .send({ name: 'auditor2', permissions: ['users:read', 'audit:read'] })
+    .expect(403);
+  assert.match(res.body.msg, /audit:read/);
+  assert.strictEqual(Role.create.mock.callCount(), 1);
+});
+
+test('you cannot add a permission you lack to a role, your own included', async (t) => {
+  const { headers, roles } = setUp(t);
+  const [own] = roles;
+
+  await request(app)
+    .put(`/api/roles/${own.id}`)
+    .set(headers)
+    .send({ permissions: [...ROLES.manager, 'users:delete'] })
+    .expect(403);
+  assert.deepStrictEqual([...own.permissions], ROLES.manager);
+});
+
+test('permissions a role already has may be kept or removed', async (t) => {
+  const { headers, roles } = setUp(t);
+  const [, auditor] = roles;
+
+  await request(app)
+    .put(`/api/roles/${auditor.id}`)
+    .set(headers)
+    .send({ description: 'Reads the log', permissions: ['audit:read', 'users:read'] })
+    .expect(200);
+  assert.deepStrictEqual([...auditor.permissions], ['audit:read', 'users:read']);
+
+  await request(app).put(`/api/roles/${auditor.id}`).set(headers).send({ permissions: [] }).expect(200);
+  await request(app).put(`/api/roles/${auditor.id}`).set(headers).send({ permissions: ['audit:read'] }).expect(403);
+});
+
+test('renaming a role carries its holders over as a versioned, published change', async (t) => {
+  const { headers, roles } = setUp(t);
+  const [, auditor] = roles;
+  const holders = [makeUser({ role: 'auditor' }), makeUser({ role: 'auditor' })];
+  const bystander = makeUser();
+  stubFind(t, User, [...holders, bystander]);
+  stubUpdate(t, User, [...holders, bystander]);
+  t.mock.method(Invite, 'updateMany', async () => ({}));
+  const events = [];
+  t.after(subscribeUserEvents((event) => events.push(event)));
+
+  await request(app).put(`/api/roles/${auditor.id}`).set(headers).send({ name: 'reviewer' }).expect(200);
+
+  for (const holder of holders) {
+    assert.strictEqual(holder.role, 'reviewer');
+    assert.strictEqual(holder.__v, 1, 'the version goes up so stale edits conflict');
+  }
+  assert.strictEqual(bystander.role, 'user');
+  assert.deepStrictEqual(
+    events.map((event) => [event.type, String(event.user._id), event.user.role]),
+    holders.map((holder) => ['updated', holder.id, 'reviewer'])
+  );
+});
+
+test('an API key can only grant what its scopes allow', async (t) => {
+  const { manager } = setUp(t);
+  const key = new ApiKey({ user: manager._id, name: 'script', keyHash: 'hash', prefix: 'uak_abcdef', scopes: ['roles:manage'] });
+  t.mock.method(ApiKey, 'findByKey', async () => key);
+  t.mock.method(ApiKey, 'updateOne', async () => ({}));
+
+  await request(app)
+    .post('/api/roles')
+    .set('X-API-Key', 'uak_valid')
+    .send({ name: 'reader', permissions: ['users:read'] })
+    .expect(403);
+});
+
+test('malformed ids and bodies get a 400, not a server error', async (t) => {
+  const { headers, roles } = setUp(t);
+  const [, auditor] = roles;
+
+  await request(app).put('/api/roles/not-an-id').set(headers).send({ description: 'x' }).expect(400);
+  await request(app).delete('/api/roles/not-an-id').set(headers).expect(400);
+  const description = await request(app).put(`/api/roles/${auditor.id}`).set(headers).send({ description: 42 }).expect(400);
+  assert.ok(description.body.errors.description);
+  const name = await request(app).post('/api/roles').set(headers).send({ name: { $ne: '' } }).expect(400);
+  assert.ok(name.body.errors.name);
+  await request(app).post('/api/roles').set(headers).send({ name: 'reader', permissions: ['users:everything'] }).expect(400);
+  assert.strictEqual(Role.create.mock.callCount(), 0);
+});
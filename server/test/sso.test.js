@@ -0,0 +1,217 @@
+// test/sso.test.js
+// Single sign-on end to end against the mock provider from scripts/mockOidc.js:
+// the real discovery, redirects, code exchange and ID token checks, with only the
+// database stood in for.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { authenticator } = require('otplib');
+const { createApp, makeUser, makeSession, stubFind, stubUpdate, stubSave, captureAudit, refreshCookie } = require('./helpers');
+const { startMockOidc } = require('../scripts/mockOidc');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+
+const app = createApp({
+  '/api/users': require('../routes/user'),
+  '/api/auth/oidc': require('../routes/sso'),
+});
+
+let provider;
+before(async () => {
+  provider = await startMockOidc({ port: 0 });
+  process.env.OIDC_ISSUER = provider.url;
+  process.env.OIDC_CLIENT_ID = 'local';
+  process.env.OIDC_ROLE_MAPPING = 'idp-admins=admin';
+});
+after(() => provider.stop());
+
+// Who the provider vouches for in this test
+const identity = (claims = {}) => {
+  provider.identity = {
+    sub: 'sso-123',
+    email: 'sso.person@example.com',
+    email_verified: true,
+    name: 'Sso Person',
+    groups: [],
+    ...claims,
+  };
+  return provider.identity;
+};
+
+const setUp = (t, users = []) => {
+  const sessions = [];
+  stubFind(t, User, users);
+  stubSave(t, User);
+  stubFind(t, Session, sessions);
+  stubSave(t, Session);
+  stubUpdate(t, Session, sessions);
+  t.mock.method(Session, 'create', async (fields) => {
+    const session = makeSession({ _id: fields.user }, fields);
+    sessions.push(session);
+    return session;
+  });
+  t.mock.method(Role, 'exists', async () => true);
+  t.mock.method(Role, 'permissionsFor', async () => []);
+  const saved = [];
+  User.prototype.save.mock.mockImplementation(async function () {
+    saved.push(this);
+    return this;
+  });
+  return { audits: captureAudit(t), sessions, saved };
+};
+
+// Click "Sign in with SSO", let the provider approve, follow it back to the API.
+// Resolves to the callback's response (a redirect to the client).
+const signInWithSso = async () => {
+  const login = await request(app).get('/api/auth/oidc/login').expect(302);
+  const flowCookie = login.headers['set-cookie'].map((cookie) => cookie.split(';')[0]).find((cookie) => cookie.startsWith('oidcFlow='));
+  const authorize = await fetch(login.headers.location, { redirect: 'manual' });
+  const back = new URL(authorize.headers.get('location'));
+  return request(app).get(`/api/auth/oidc/callback${back.search}`).set('Cookie', flowCookie).expect(302);
+};
+
+const ssoError = (res) => new URL(res.headers.location).searchParams.get('ssoError');
+
+test('a linked user signs in and the session works with /refresh', async (t) => {
+  const claims = identity();
+  const user = makeUser({ email: claims.email, ssoSubject: `${provider.url}|${claims.sub}` });
+  const { audits } = setUp(t, [user]);
+
+  const res = await signInWithSso();
+  assert.strictEqual(res.headers.location, 'http://localhost:3000/login');
+  assert.ok(user.lastLoginAt);
+  assert.strictEqual(audits.at(-1).action, 'user.login');
+
+  const refreshed = await request(app).post('/api/users/refresh').set('Cookie', refreshCookie(res)).expect(200);
+  assert.strictEqual(refreshed.body.user.id, user.id);
+});
+
+test('an account with the same verified email is linked on first sign-in', async (t) => {
+  const claims = identity();
+  const user = makeUser({ email: claims.email, emailVerified: false });
+  const { audits } = setUp(t, [user]);
+
+  const res = await signInWithSso();
+  assert.ok(refreshCookie(res));
+  assert.strictEqual(user.ssoSubject, `${provider.url}|${claims.sub}`);
+  assert.strictEqual(user.emailVerified, true);
+  assert.ok(audits.some((event) => event.action === 'user.sso_link'));
+});
+
+test('an unverified email neither links nor creates an account', async (t) => {
+  const claims = identity({ email_verified: false });
+  const user = makeUser({ email: claims.email });
+  const { saved } = setUp(t, [user]);
+
+  const res = await signInWithSso();
+  assert.match(ssoError(res), /verified email/);
+  assert.strictEqual(refreshCookie(res), undefined);
+  assert.strictEqual(user.ssoSubject, undefined);
+  assert.deepStrictEqual(saved, []);
+});
+
+test('a new user is provisioned with the role their groups map to', async (t) => {
+  const claims = identity({ email: 'new.admin@example.com', groups: ['staff', 'idp-admins'] });
+  const { audits, saved } = setUp(t);
+
+  const res = await signInWithSso();
+  assert.ok(refreshCookie(res));
+  const [created] = saved;
+  assert.strictEqual(created.email, claims.email);
+  assert.strictEqual(created.role, 'admin');
+  assert.strictEqual(created.emailVerified, true);
+  assert.strictEqual(created.ssoSubject, `${provider.url}|${claims.sub}`);
+  assert.deepStrictEqual(audits.map((event) => event.action), ['user.create', 'user.login']);
+});
+
+test('a group mapping keeps the role of an account SSO created in step', async (t) => {
+  const claims = identity({ groups: ['idp-admins'] });
+  const user = makeUser({ email: claims.email, ssoSubject: `${provider.url}|${claims.sub}`, ssoProvisioned: true });
+  const { audits } = setUp(t, [user]);
+
+  await signInWithSso();
+  assert.strictEqual(user.role, 'admin');
+  const change = audits.find((event) => event.action === 'user.role_change');
+  assert.deepStrictEqual(change.changes.find((entry) => entry.field === 'role'), { field: 'role', before: 'user', after: 'admin' });
+});
+
+test('a group mapping leaves the role of a linked account alone', async (t) => {
+  const claims = identity({ groups: ['idp-admins'] });
+  const user = makeUser({ email: claims.email });
+  const { audits } = setUp(t, [user]);
+
+  await signInWithSso(); // links by email
+  await signInWithSso(); // signs in through the link
+  assert.strictEqual(user.role, 'user');
+  assert.ok(!audits.some((event) => event.action === 'user.role_change'));
+});
+
+test('inactive accounts are turned away', async (t) => {
+  const claims = identity();
+  const user = makeUser({ email: claims.email, ssoSubject: `${provider.url}|${claims.sub}`, isActive: false });
+  const { audits, sessions } = setUp(t, [user]);
+
+  const res = await signInWithSso();
+  assert.match(ssoError(res), /deactivated/);
+  assert.strictEqual(refreshCookie(res), undefined);
+  assert.strictEqual(sessions.length, 0);
+  assert.strictEqual(audits.at(-1).action, 'user.login_failed');
+  assert.strictEqual(audits.at(-1).metadata.reason, 'inactive');
+});
+
+test('a callback without the flow cookie from /login is refused', async (t) => {
+  identity();
+  setUp(t);
+
+  const login = await request(app).get('/api/auth/oidc/login').expect(302);
+  const authorize = await fetch(login.headers.location, { redirect: 'manual' });
+  const back = new URL(authorize.headers.get('location'));
+  const res = await request(app).get(`/api/auth/oidc/callback${back.search}`).expect(302);
+  assert.match(ssoError(res), /failed or expired/);
+});
+
+test('locked accounts are turned away', async (t) => {
+  const claims = identity();
+  const user = makeUser({ email: claims.email, ssoSubject: `${provider.url}|${claims.sub}`, lockedUntil: new Date(Date.now() + 60000) });
+  const { audits, sessions } = setUp(t, [user]);
+
+  const res = await signInWithSso();
+  assert.match(ssoError(res), /locked/);
+  assert.strictEqual(sessions.length, 0);
+  assert.strictEqual(audits.at(-1).metadata.reason, 'locked');
+});
+
+test('an account with 2FA is not linked by email', async (t) => {
+  const claims = identity();
+  const user = makeUser({ email: claims.email, twoFactorEnabled: true, twoFactorSecret: authenticator.generateSecret() });
+  const { sessions, saved } = setUp(t, [user]);
+
+  const res = await signInWithSso();
+  assert.match(ssoError(res), /two-factor/);
+  assert.strictEqual(user.ssoSubject, undefined);
+  assert.deepStrictEqual(saved, []);
+  assert.strictEqual(sessions.length, 0);
+});
+
+test('a linked account with 2FA still needs its code', async (t) => {
+  const claims = identity();
+  const user = makeUser({
+    email: claims.email,
+    ssoSubject: `${provider.url}|${claims.sub}`,
+    twoFactorEnabled: true,
+    twoFactorSecret: authenticator.generateSecret(),
+  });
+  const { sessions } = setUp(t, [user]);
+
+  const res = await signInWithSso();
+  assert.strictEqual(refreshCookie(res), undefined);
+  assert.strictEqual(sessions.length, 0);
+  const challenge = new URL(res.headers.location).searchParams.get('twoFactorChallenge');
+  assert.ok(challenge);
+
+  const code = authenticator.generate(user.twoFactorSecret);
+  const done = await request(app).post('/api/users/login/2fa').send({ challenge, code }).expect(200);
+  assert.ok(done.body.token);
+  assert.strictEqual(sessions.length, 1);
+});
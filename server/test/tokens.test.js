@@ -0,0 +1,135 @@
+// test/tokens.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createApp, stubFind, stubUpdate, stubDirectory, makeUser, makeSession, signIn } = require('./helpers');
+const Session = require('../models/Session');
+const { auth } = require('../middleware/auth');
+const { hashToken, startSession, rotateRefreshToken } = require('../utils/tokens');
+
+// A stand-in route behind auth, which checks the access token's session
+const app = createApp({});
+app.get('/me', auth, (req, res) => res.json({ id: req.user.id }));
+
+// Just enough of req/res for the token helpers
+const fakeRequest = (refreshToken) => ({
+  cookies: refreshToken ? { refreshToken } : {},
+  ip: '127.0.0.1',
+  get: () => 'test-agent',
+});
+const fakeResponse = () => {
+  const res = { cookies: {} };
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+  };
+  return res;
+};
+
+const stubSessions = (t, sessions) => {
+  stubFind(t, Session, sessions);
+  stubUpdate(t, Session, sessions);
+};
+
+test('startSession stores only a hash of the refresh token it sets', async (t) => {
+  const user = makeUser();
+  let created;
+  t.mock.method(Session, 'create', async (fields) => (created = makeSession(user, fields)));
+  const res = fakeResponse();
+
+  const token = await startSession(fakeRequest(), res, user);
+
+  assert.ok(token);
+  assert.strictEqual(created.tokenHash, hashToken(res.cookies.refreshToken));
+  assert.notStrictEqual(created.tokenHash, res.cookies.refreshToken);
+});
+
+test('rotating a refresh token hands out a new one and retires the old', async (t) => {
+  const user = makeUser();
+  const session = makeSession(user, { tokenHash: hashToken('first') });
+  stubSessions(t, [session]);
+  const res = fakeResponse();
+
+  const rotated = await rotateRefreshToken(fakeRequest('first'), res);
+
+  assert.strictEqual(rotated, session);
+  assert.ok(res.cookies.refreshToken && res.cookies.refreshToken !== 'first');
+  assert.strictEqual(session.tokenHash, hashToken(res.cookies.refreshToken));
+  assert.deepStrictEqual([...session.previousTokenHashes], [hashToken('first')]);
+  assert.ok(session.rotatedAt);
+});
+
+test('two refreshes racing with the same token both succeed and rotate it once', async (t) => {
+  const user = makeUser();
+  const session = makeSession(user, { tokenHash: hashToken('first') });
+  stubSessions(t, [session]);
+  const responses = [fakeResponse(), fakeResponse()];
+
+  const results = await Promise.all(responses.map((res) => rotateRefreshToken(fakeRequest('first'), res)));
+
+  assert.deepStrictEqual(results, [session, session]);
+  assert.strictEqual(responses.filter((res) => res.cookies.refreshToken).length, 1, 'only the winner sets a cookie');
+  assert.strictEqual(session.previousTokenHashes.length, 1);
+  assert.ok(session.isActive());
+});
+
+test('presenting a rotated refresh token after the grace period revokes the whole session', async (t) => {
+  const user = makeUser();
+  const session = makeSession(user, {
+    tokenHash: hashToken('second'),
+    previousTokenHashes: [hashToken('first')],
+    rotatedAt: new Date(Date.now() - 60 * 1000),
+  });
+  stubSessions(t, [session]);
+  const res = fakeResponse();
+
+  assert.strictEqual(await rotateRefreshToken(fakeRequest('first'), res), null);
+  assert.ok(session.revokedAt);
+  assert.strictEqual(session.revokedReason, 'reuse-detected');
+  assert.strictEqual(res.cookies.refreshToken, undefined);
+});
+
+test('only the token just replaced gets the grace period', async (t) => {
+  const user = makeUser();
+  const session = makeSession(user, {
+    tokenHash: hashToken('third'),
+    previousTokenHashes: [hashToken('first'), hashToken('second')],
+    rotatedAt: new Date(),
+  });
+  stubSessions(t, [session]);
+
+  assert.strictEqual(await rotateRefreshToken(fakeRequest('second'), fakeResponse()), session);
+  assert.ok(session.isActive());
+  assert.strictEqual(await rotateRefreshToken(fakeRequest('first'), fakeResponse()), null);
+  assert.strictEqual(session.revokedReason, 'reuse-detected');
+});
+
+test('revoked, expired and unknown refresh tokens are refused', async (t) => {
+  const user = makeUser();
+  const revoked = makeSession(user, { tokenHash: hashToken('revoked'), revokedAt: new Date() });
+  const expired = makeSession(user, { tokenHash: hashToken('expired'), expiresAt: new Date(Date.now() - 1000) });
+  stubSessions(t, [revoked, expired]);
+
+  for (const token of ['revoked', 'expired', 'unknown', undefined]) {
+    assert.strictEqual(await rotateRefreshToken(fakeRequest(token), fakeResponse()), null, `${token} was accepted`);
+  }
+});
+
+test('an access token stops working as soon as its session is revoked', async (t) => {
+  const user = makeUser();
+  const { session, headers } = signIn(user);
+  stubDirectory(t, { users: [user], sessions: [session] });
+
+  await request(app).get('/me').set(headers).expect(200);
+  session.revokedAt = new Date();
+  await request(app).get('/me').set(headers).expect(401);
+});
+
+test('an access token is refused when its session belongs to someone else', async (t) => {
+  const user = makeUser();
+  const other = makeUser();
+  const { session, headers } = signIn(user);
+  session.user = other._id;
+  stubDirectory(t, { users: [user, other], sessions: [session] });
+
+  await request(app).get('/me').set(headers).expect(401);
+});
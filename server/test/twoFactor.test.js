@@ -0,0 +1,104 @@
+// test/twoFactor.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { authenticator } = require('otplib');
+const { query, createApp, makeUser, makeSession, signIn, stubDirectory, stubFind, stubSave, captureAudit, refreshCookie } = require('./helpers');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const { generateRecoveryCodes } = require('../utils/twoFactor');
+
+const app = createApp({
+  '/api/users/me': require('../routes/account'),
+  '/api/users': require('../routes/user'),
+});
+
+// A user with an authenticator app set up, and the recovery codes they were shown
+const enrolledUser = () => {
+  const { codes, hashes } = generateRecoveryCodes();
+  const user = makeUser({
+    password: bcrypt.hashSync('secret123', 4),
+    twoFactorEnabled: true,
+    twoFactorSecret: authenticator.generateSecret(),
+    twoFactorRecoveryCodeHashes: hashes,
+  });
+  return { user, recoveryCodes: codes };
+};
+
+const setUp = (t, user) => {
+  stubFind(t, User, [user]);
+  stubSave(t, User);
+  t.mock.method(User, 'findByIdAndUpdate', () => query({ failedLoginAttempts: ++user.failedLoginAttempts }));
+  t.mock.method(Role, 'permissionsFor', async () => []);
+  t.mock.method(Session, 'create', async (fields) => makeSession(user, fields));
+  return captureAudit(t);
+};
+
+// The password step; returns the challenge for the code step
+const passwordStep = async (user) => {
+  const res = await request(app).post('/api/users/login').send({ email: user.email, password: 'secret123' }).expect(200);
+  assert.strictEqual(res.body.twoFactorRequired, true);
+  assert.strictEqual(res.body.token, undefined, 'no session before the code');
+  return res.body.challenge;
+};
+
+test('the password alone does not sign in; a current code does, once', async (t) => {
+  const { user } = enrolledUser();
+  const audits = setUp(t, user);
+
+  const challenge = await passwordStep(user);
+  const code = authenticator.generate(user.twoFactorSecret);
+  const res = await request(app).post('/api/users/login/2fa').send({ challenge, code }).expect(200);
+  assert.ok(res.body.token);
+  assert.ok(refreshCookie(res));
+  assert.strictEqual(audits.at(-1).metadata.twoFactor, 'totp');
+
+  // The same code can't be replayed
+  const replay = await request(app).post('/api/users/login/2fa').send({ challenge, code }).expect(400);
+  assert.strictEqual(replay.body.msg, 'Invalid authentication code');
+  assert.strictEqual(user.failedLoginAttempts, 1);
+});
+
+test('a recovery code works once', async (t) => {
+  const { user, recoveryCodes } = enrolledUser();
+  setUp(t, user);
+  const challenge = await passwordStep(user);
+
+  await request(app).post('/api/users/login/2fa').send({ challenge, recoveryCode: recoveryCodes[0].toUpperCase() }).expect(200);
+  assert.strictEqual(user.twoFactorRecoveryCodeHashes.length, recoveryCodes.length - 1);
+  await request(app).post('/api/users/login/2fa').send({ challenge, recoveryCode: recoveryCodes[0] }).expect(400);
+});
+
+test('a forged, expired or other kind of token is no challenge', async (t) => {
+  const { user } = enrolledUser();
+  setUp(t, user);
+  const code = authenticator.generate(user.twoFactorSecret);
+  const challenges = [
+    'forged',
+    jwt.sign({ id: user.id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: -1 }),
+    jwt.sign({ id: user.id }, process.env.JWT_SECRET),
+  ];
+
+  for (const challenge of challenges) {
+    await request(app).post('/api/users/login/2fa').send({ challenge, code }).expect(401);
+  }
+});
+
+test('2FA settings answer malformed input with a 400, not a server error', async (t) => {
+  const { user } = enrolledUser();
+  const { session, headers } = signIn(user);
+  stubDirectory(t, { users: [user], sessions: [session] });
+
+  const requests = [
+    ['enable', {}],
+    ['disable', { password: 12345 }],
+    ['recovery-codes', { password: { $ne: '' } }],
+  ];
+  for (const [action, body] of requests) {
+    const res = await request(app).post(`/api/users/me/2fa/${action}`).set(headers).send(body).expect(400);
+    assert.ok(res.body.errors);
+  }
+});
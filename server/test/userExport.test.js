@@ -0,0 +1,60 @@
+// test/userExport.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { DEFAULT_COLUMNS, streamUsers } = require('../utils/userExport');
+
+// Stands in for a Mongo cursor over `total` users (endless by default)
+const fakeCursor = (total = Infinity) => {
+  const cursor = {
+    closed: false,
+    async *[Symbol.asyncIterator]() {
+      for (let i = 0; i < total && !cursor.closed; i += 1) {
+        yield { _id: new mongoose.Types.ObjectId(), name: `User ${i} ${'x'.repeat(200)}`, email: `user${i}@example.com` };
+      }
+    },
+    close: async () => {
+      cursor.closed = true;
+    },
+  };
+  return cursor;
+};
+
+// Serve one export of `cursor`. `started` resolves to { exported: streamUsers' promise } once a request arrives
+const serveExport = async (cursor, format) => {
+  let onRequest;
+  const started = new Promise((resolve) => {
+    onRequest = resolve;
+  });
+  const server = http.createServer((req, res) =>
+    onRequest({ exported: streamUsers(cursor, res, { format, columns: DEFAULT_COLUMNS }) })
+  );
+  server.listen(0);
+  await once(server, 'listening');
+  return { server, url: `http://localhost:${server.address().port}/`, started };
+};
+
+test('an export streams every row and closes the cursor', async (t) => {
+  const cursor = fakeCursor(50);
+  const { server, url, started } = await serveExport(cursor, 'ndjson');
+  t.after(() => server.close());
+
+  const body = await (await fetch(url)).text();
+  assert.strictEqual(await (await started).exported, 50);
+  assert.strictEqual(body.trim().split('\n').length, 50);
+  assert.ok(cursor.closed);
+});
+
+test('a client leaving mid-download ends the export and closes the cursor', async (t) => {
+  const cursor = fakeCursor();
+  const { server, url, started } = await serveExport(cursor, 'csv');
+  t.after(() => server.close());
+
+  const req = http.get(url, (res) => res.once('data', () => req.destroy()));
+  req.on('error', () => {});
+
+  await assert.rejects((await started).exported, { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+  assert.ok(cursor.closed);
+});
@@ -0,0 +1,45 @@
+// utils/audit.js
+const AuditEvent = require('../models/AuditEvent');
+
+// Never copied into the log, not even as "changed"
+const SENSITIVE_FIELD = /password|token|secret|hash/i;
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc || {});
+
+// Field-by-field difference between two versions of a document
+const diffFields = (before, after) => {
+  const from = plain(before);
+  const to = plain(after);
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field) && !SENSITIVE_FIELD.test(field))
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map((field) => ({ field, before: from[field], after: to[field] }));
+};
+
+// Record an audit event. Failures are logged, never thrown: auditing must not
+// break the action being audited.
+const recordAudit = async (req, { action, actor, target, targetType = 'user', targetLabel, before, after, metadata }) => {
+  try {
+    // Whatever an admin does while impersonating is recorded as theirs
+    const who = actor === undefined ? req.actor || req.user : actor;
+    await AuditEvent.create({
+      action,
+      actor: who?._id,
+      actorEmail: who?.email,
+      targetType,
+      target: target?._id || target,
+      targetLabel: targetLabel || target?.email || target?.name,
+      changes: before || after ? diffFields(before, after) : [],
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: req.impersonating ? { ...metadata, impersonating: req.user.email } : metadata,
+    });
+  } catch (error) {
+    console.error('Audit log error:', error.message);
+  }
+};
+
+module.exports = { recordAudit, diffFields };
@@ -0,0 +1,36 @@
+// utils/httpErrors.js
+// Turn an error thrown inside a route into a response. Problems with the input get
+// the same { msg, errors: { field: message } } shape as middleware/validate.js so
+// forms can show them next to the right field; anything else is a logged 500.
+
+const DUPLICATE_MESSAGES = {
+  email: 'A user with this email already exists',
+  name: 'This name is already taken',
+};
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.fromEntries(Object.entries(error.errors).map(([field, fieldError]) => [field, fieldError.message]));
+    return res.status(400).json({ msg: Object.values(errors)[0], errors });
+  }
+  // e.g. a malformed id that slipped past the route's schema
+  if (error.name === 'CastError') {
+    const msg = `Invalid ${error.path}`;
+    return res.status(400).json({ msg, errors: { [error.path]: msg } });
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+    const msg = DUPLICATE_MESSAGES[field] || 'This record already exists';
+    return res.status(409).json({ msg, errors: field ? { [field]: msg } : {} });
+  }
+  // A versioned save lost a race with another edit (see VERSIONED_FIELDS in models/User.js)
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ msg: 'This record was changed by someone else, reload and try again', code: 'VERSION_CONFLICT' });
+  }
+  if (error.name === 'FilterError') return res.status(400).json({ msg: error.message });
+
+  console.error('Request error:', error);
+  res.status(500).json({ msg: 'Server error' });
+};
+
+module.exports = { sendError };
@@ -0,0 +1,107 @@
+// utils/oidc.js
+// Single sign-on with any OpenID Connect provider (authorization code + PKCE).
+// Configured entirely through OIDC_* environment variables; off unless
+// OIDC_ISSUER and OIDC_CLIENT_ID are set.
+const { Issuer, generators } = require('openid-client');
+const jwt = require('jsonwebtoken');
+
+const FLOW_COOKIE = 'oidcFlow';
+const FLOW_TTL_MINUTES = 10;
+
+// "idp-admins=admin, helpdesk=support" -> [['idp-admins', 'admin'], ['helpdesk', 'support']]
+const parseRoleMapping = (value = '') =>
+  value
+    .split(',')
+    .map((pair) => pair.split('=').map((part) => part.trim()))
+    .filter(([group, role]) => group && role);
+
+const oidcConfig = () => ({
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET, // omit for a public client; PKCE still applies
+  redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+  scope: process.env.OIDC_SCOPES || 'openid email profile',
+  label: process.env.OIDC_LABEL || 'Sign in with SSO',
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'user',
+  autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+});
+
+const oidcEnabled = () => !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+// Discovery happens once; a failed attempt is retried on the next login
+let clientPromise = null;
+const getClient = () => {
+  if (!clientPromise) {
+    const config = oidcConfig();
+    clientPromise = Issuer.discover(config.issuer)
+      .then(
+        (issuer) =>
+          new issuer.Client({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            redirect_uris: [config.redirectUri],
+            response_types: ['code'],
+            token_endpoint_auth_method: config.clientSecret ? 'client_secret_basic' : 'none',
+          })
+      )
+      .catch((error) => {
+        clientPromise = null;
+        throw error;
+      });
+  }
+  return clientPromise;
+};
+
+// The first mapped group the user belongs to decides the role; null when none match
+const roleForClaims = (claims, { groupsClaim, roleMapping }) => {
+  const value = claims[groupsClaim];
+  const groups = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\s,]+/) : [];
+  return roleMapping.find(([group]) => groups.includes(group))?.[1] || null;
+};
+
+// Start a login: the provider URL to send the browser to, plus the state, nonce
+// and PKCE verifier the callback needs, signed into a short-lived cookie
+const beginLogin = async (res) => {
+  const client = await getClient();
+  const flow = {
+    state: generators.state(),
+    nonce: generators.nonce(),
+    codeVerifier: generators.codeVerifier(),
+  };
+  res.cookie(FLOW_COOKIE, jwt.sign(flow, process.env.JWT_SECRET, { expiresIn: FLOW_TTL_MINUTES * 60 }), {
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE === 'true',
+    sameSite: 'lax', // must come along on the provider's top-level redirect back
+    path: '/api/auth/oidc',
+    maxAge: FLOW_TTL_MINUTES * 60 * 1000,
+  });
+  return client.authorizationUrl({
+    scope: oidcConfig().scope,
+    state: flow.state,
+    nonce: flow.nonce,
+    code_challenge: generators.codeChallenge(flow.codeVerifier),
+    code_challenge_method: 'S256',
+  });
+};
+
+// Finish a login: check the callback against the cookie, redeem the code and
+// return the ID token claims merged with userinfo (which often carries groups)
+const completeLogin = async (req, res) => {
+  const flow = jwt.verify(req.cookies?.[FLOW_COOKIE] || '', process.env.JWT_SECRET);
+  res.clearCookie(FLOW_COOKIE, { path: '/api/auth/oidc' });
+
+  const client = await getClient();
+  const params = client.callbackParams(req);
+  const tokenSet = await client.callback(oidcConfig().redirectUri, params, {
+    state: flow.state,
+    nonce: flow.nonce,
+    code_verifier: flow.codeVerifier,
+  });
+  const claims = tokenSet.claims();
+  const userinfo = tokenSet.access_token ? await client.userinfo(tokenSet).catch(() => ({})) : {};
+  return { ...userinfo, ...claims };
+};
+
+module.exports = { oidcConfig, oidcEnabled, roleForClaims, beginLogin, completeLogin };
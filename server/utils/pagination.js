@@ -0,0 +1,71 @@
+// utils/pagination.js
+// Sorting and keyset ("cursor") pagination for list endpoints.
+// A cursor is the sort key and _id of the last row sent, base64url-encoded; the
+// next page is everything strictly after that row in sort order, so rows
+// inserted or deleted meanwhile don't shift pages the way skip/limit does.
+const mongoose = require('mongoose');
+const { filterError } = require('./userFilter');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// ?limit= clamped to 1..MAX_LIMIT
+const pageLimit = (value) => Math.min(Math.max(parseInt(value) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// "field:asc|desc" -> { key, field, direction } for a whitelisted field
+const parseSort = (value, { fields, fallback }) => {
+  const [field, order = 'asc'] = String(value || fallback).split(':');
+  if (!fields.includes(field) || !['asc', 'desc'].includes(order)) {
+    throw filterError(`Cannot sort by "${value}". Use one of: ${fields.join(', ')} (with :asc or :desc)`);
+  }
+  return { key: `${field}:${order}`, field, direction: order === 'desc' ? -1 : 1 };
+};
+
+// _id breaks ties so equal sort values still come back in one fixed order
+const sortSpec = ({ field, direction }) => ({ [field]: direction, _id: direction });
+
+const encodeCursor = (doc, { key, field }) => {
+  const value = doc[field] ?? null;
+  const payload = { s: key, v: value instanceof Date ? value.toISOString() : value, id: doc._id.toString() };
+  if (value instanceof Date) payload.d = 1;
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// The cursor comes back from the client and its value goes into the query as is,
+// so only plain values pass: an object like {"$ne":null} would run as an operator
+const isSortValue = (value) => value === null || ['string', 'boolean'].includes(typeof value) || Number.isFinite(value);
+
+const decodeCursor = (cursor, { key }) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw filterError('Invalid cursor');
+  }
+  if (!payload || typeof payload.id !== 'string' || !mongoose.isValidObjectId(payload.id) || !isSortValue(payload.v)) {
+    throw filterError('Invalid cursor');
+  }
+  // A cursor only means something in the order it was made for
+  if (payload.s !== key) throw filterError('Cursor belongs to a different sort, start again from the first page');
+  const value = payload.d ? new Date(payload.v) : payload.v;
+  if (payload.d && (typeof payload.v !== 'string' || isNaN(value))) throw filterError('Invalid cursor');
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+// Condition for the rows after the cursor. Mongo sorts null/missing values
+// lowest, so they come first ascending and last descending.
+const cursorCondition = (cursor, sort) => {
+  const { field, direction } = sort;
+  const { value, id } = decodeCursor(cursor, sort);
+  const after = direction === 1 ? '$gt' : '$lt';
+  const sameValueAfter = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, sameValueAfter] } : sameValueAfter;
+  }
+  const conditions = [{ [field]: { [after]: value } }, sameValueAfter];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, pageLimit, parseSort, sortSpec, encodeCursor, cursorCondition };
@@ -0,0 +1,5 @@
+// utils/regex.js
+// Treat user input as literal text inside a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
@@ -0,0 +1,43 @@
+// utils/registration.js
+const Invite = require('../models/Invite');
+const { sendMail, clientUrl } = require('../mail');
+const templates = require('../mail/templates');
+const { recordAudit } = require('./audit');
+
+// REGISTRATION_POLICY controls who can create an account without an admin typing it in:
+//   open   - anyone may sign up through POST /api/users/register (always as 'user')
+//   invite - only people holding an admin-issued invite link
+//   admin  - nobody; admins create every account themselves
+const POLICIES = ['open', 'invite', 'admin'];
+
+const registrationPolicy = () => {
+  const policy = process.env.REGISTRATION_POLICY || 'invite';
+  return POLICIES.includes(policy) ? policy : 'invite';
+};
+
+const INVITE_MAX_DAYS = 30;
+const INVITE_DEFAULT_DAYS = 7;
+
+// Issue an invite from the signed-in admin, replacing any pending one for the
+// address, and mail the link. Returns the invite and its one-time URL.
+const sendInvite = async (req, { email, role, expiresInDays = INVITE_DEFAULT_DAYS, metadata }) => {
+  await Invite.updateMany({ email, acceptedAt: null, revokedAt: null }, { revokedAt: new Date() });
+
+  const { invite, token } = await Invite.issue({ email, role, invitedBy: req.user._id, expiresInDays });
+  const url = clientUrl(`/invite/${token}`);
+  await recordAudit(req, {
+    action: 'invite.create',
+    targetType: 'invite',
+    target: invite,
+    metadata: { role: invite.role, expiresAt: invite.expiresAt, ...metadata },
+  });
+
+  sendMail({
+    to: invite.email,
+    ...templates.invitation({ inviterName: req.user.name, role: invite.role, url, expiresAt: invite.expiresAt }),
+  }).catch((mailError) => console.error('Invite mail error:', mailError.message));
+
+  return { invite, url };
+};
+
+module.exports = { registrationPolicy, sendInvite, INVITE_MAX_DAYS, INVITE_DEFAULT_DAYS };
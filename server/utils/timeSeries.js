@@ -0,0 +1,64 @@
+// utils/timeSeries.js
+// Bucketing for the dashboard charts. Mongo groups documents by a period label
+// ($dateToString), then fillSeries() adds the empty periods so charts get a
+// continuous axis. Labels are "2024-03-05" for days and ISO weeks "2024-W10".
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FORMATS = { day: '%Y-%m-%d', week: '%G-W%V' };
+
+// { $dateToString } expression for a date field, in the caller's time zone
+const periodExpression = (field, interval, timezone) => ({
+  $dateToString: { date: `$${field}`, format: FORMATS[interval], timezone },
+});
+
+// "YYYY-MM-DD" of an instant as seen in a time zone
+const localDay = (date, timezone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+// ISO-8601 week label of a calendar day, matching Mongo's %G-W%V
+const isoWeek = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  const weekday = date.getUTCDay() || 7; // Monday 1 .. Sunday 7
+  date.setUTCDate(date.getUTCDate() + 4 - weekday); // the Thursday decides the year
+  const year = date.getUTCFullYear();
+  const week = Math.ceil(((date - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+const periodOf = (date, interval, timezone) => {
+  const day = localDay(date, timezone);
+  return interval === 'week' ? isoWeek(day) : day;
+};
+
+// Every period label between from and to, in order
+const periodsBetween = (from, to, interval, timezone) => {
+  const periods = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS / 2) {
+    const period = periodOf(new Date(time), interval, timezone);
+    if (periods[periods.length - 1] !== period) periods.push(period);
+  }
+  const last = periodOf(to, interval, timezone);
+  if (periods[periods.length - 1] !== last) periods.push(last);
+  return periods;
+};
+
+// Aggregation rows [{ _id: period, ...values }] -> one entry per period, zeros where empty
+const fillSeries = (rows, { from, to, interval, timezone }, empty) => {
+  const byPeriod = new Map(rows.map(({ _id, ...values }) => [_id, values]));
+  return periodsBetween(from, to, interval, timezone).map((period) => ({
+    period,
+    ...empty,
+    ...byPeriod.get(period),
+  }));
+};
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = { periodExpression, fillSeries, isTimeZone };
@@ -0,0 +1,142 @@
+// utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const REFRESH_REUSE_GRACE_MS = 30 * 1000; // how long the token just replaced is still honoured
+const REFRESH_COOKIE = 'refreshToken';
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.COOKIE_SECURE === 'true', // Enable once the app is served over HTTPS
+  sameSite: 'strict',
+  path: '/api/users', // Only sent to the refresh/logout endpoints
+  maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+});
+
+// We only ever persist hashes of random tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT tied to a session so it can be revoked server-side
+const signAccessToken = (user, session) =>
+  jwt.sign({ id: user.id, role: user.role, sid: session.id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Access token for `user` issued to `actor`, who is named in the "act" claim
+// (RFC 8693). It rides on the actor's session, so their logout ends it, and it
+// can't be refreshed: once it expires the actor is back to their own account.
+const signImpersonationToken = (user, actor, session) => {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+  const token = jwt.sign(
+    { id: user.id, role: user.role, sid: session.id, act: { sub: actor.id } },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+  return { token, expiresAt };
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions());
+};
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+};
+
+// Start a new token family for a fresh login and hand out its first tokens
+const startSession = async (req, res, user) => {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  setRefreshCookie(res, refreshToken);
+  return signAccessToken(user, session);
+};
+
+// Exchange a refresh token for a new one. Returns the session, or null when the
+// token is unknown, expired or revoked. Presenting an already-rotated token means
+// it was stolen (or replayed), so the whole family is revoked - unless it is the
+// token replaced just now: then another tab or request won the race to refresh,
+// and this one gets the session without rotating again.
+const rotateRefreshToken = async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) return null;
+
+  const presentedHash = hashToken(presented);
+  const refreshToken = generateToken();
+  const now = new Date();
+
+  // A single update, so of two refreshes racing with the same token only one rotates it
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        rotatedAt: now,
+        expiresAt: refreshExpiry(),
+        lastUsedAt: now,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      },
+      $push: { previousTokenHashes: presentedHash },
+    },
+    { new: true }
+  );
+  if (session) {
+    setRefreshCookie(res, refreshToken);
+    return session;
+  }
+
+  const reused = await Session.findOne({ previousTokenHashes: presentedHash });
+  if (!reused || !reused.isActive()) return null;
+  const justReplaced = reused.previousTokenHashes.at(-1) === presentedHash && now - reused.rotatedAt < REFRESH_REUSE_GRACE_MS;
+  // The winner's response carries the new cookie, so this one leaves it alone
+  if (justReplaced) return reused;
+
+  await Session.updateOne({ _id: reused._id, revokedAt: null }, { revokedAt: now, revokedReason: 'reuse-detected' });
+  console.warn(`Refresh token reuse detected for session ${reused.id}; family revoked`);
+  return null;
+};
+
+// Revoke the session the refresh cookie belongs to (used by logout)
+const revokeRefreshToken = async (req, reason = 'logout') => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) return null;
+  return Session.findOneAndUpdate(
+    { tokenHash: hashToken(presented), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every live session of a user, optionally keeping the current one
+const revokeUserSessions = (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  hashToken,
+  generateToken,
+  signAccessToken,
+  signImpersonationToken,
+  startSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  clearRefreshCookie,
+};
@@ -0,0 +1,85 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { hashToken } = require('./tokens');
+
+// TWO_FACTOR_POLICY controls who has to use an authenticator app:
+//   optional - anyone may enroll, nobody has to
+//   admins   - accounts whose role grants any permission must enroll before reaching admin routes
+const POLICIES = ['optional', 'admins'];
+
+const twoFactorPolicy = () => {
+  const policy = process.env.TWO_FACTOR_POLICY || 'optional';
+  return POLICIES.includes(policy) ? policy : 'optional';
+};
+
+// Must this account have 2FA on before using its permissions?
+const twoFactorRequiredFor = (permissions) => twoFactorPolicy() === 'admins' && permissions.length > 0;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'User Admin';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+authenticator.options = { step: STEP_SECONDS, window: 1 }; // accept one step of clock drift
+
+// A new secret plus what an authenticator app needs to import it
+const createSecret = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Returns the time step a code belongs to, or null. Codes from a step at or
+// before lastStep were already used and are refused so they can't be replayed.
+const verifyTotp = (secret, code, lastStep = -1) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  return step > lastStep ? step : null;
+};
+
+// Single-use recovery codes: the plain codes are shown once, only hashes are kept
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+};
+
+// Index of the matching stored hash, or -1
+const findRecoveryCode = (hashes = [], code) => hashes.indexOf(hashToken(normalizeRecoveryCode(code)));
+
+// Proof that the password step succeeded, exchanged for a session once the code checks out
+const signChallenge = (user) =>
+  jwt.sign({ id: user.id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+const verifyChallenge = (challenge) => {
+  try {
+    const decoded = jwt.verify(challenge, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  twoFactorPolicy,
+  twoFactorRequiredFor,
+  createSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  signChallenge,
+  verifyChallenge,
+};
@@ -0,0 +1,121 @@
+// utils/userEvents.js
+// Live user-directory events for GET /api/events/users.
+//
+// Routes call publishUserEvent() after changing a user. On a replica set (or
+// sharded cluster) the events themselves come from a Mongo change stream, so
+// changes made by other API instances or scripts show up too; the route's call
+// then only tells the stream who made the change. On a standalone server,
+// where change streams don't exist, the route's call is the event.
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open admin stream
+
+// What a subscriber may see of a user: the list's columns, never hashes or secrets
+const PUBLIC_FIELDS = [
+  '_id',
+  'name',
+  'email',
+  'role',
+  'isActive',
+  'activateAt',
+  'deactivateAt',
+  'emailVerified',
+  'twoFactorEnabled',
+  'lockedUntil',
+  'deletedAt',
+  'lastLoginAt',
+  'createdAt',
+  'updatedAt',
+  '__v',
+];
+// Updates touching only other fields (login counters, tokens) aren't news
+const WATCHED_FIELDS = PUBLIC_FIELDS.filter((field) => !['_id', '__v', 'updatedAt', 'lastLoginAt'].includes(field));
+
+const HINT_TTL_MS = 10 * 1000;
+
+let source = 'memory'; // 'memory' | 'change-stream'
+const hints = new Map(); // user id -> { actor, expires } left by routes for the change stream
+
+const publicUser = (doc) =>
+  Object.fromEntries(PUBLIC_FIELDS.filter((field) => doc[field] !== undefined).map((field) => [field, doc[field]]));
+
+const actorOf = (actor) => (actor ? { id: String(actor._id), name: actor.name } : null);
+
+const emit = (type, user, actor) =>
+  bus.emit('event', { type, user: publicUser(user), actor: actor || null, at: new Date() });
+
+// type: 'created' | 'updated' | 'deleted' | 'restored'; actor is whoever did it (null for the system)
+const publishUserEvent = (type, user, actor) => {
+  if (!user) return;
+  if (source === 'change-stream') {
+    hints.set(String(user._id), { actor: actorOf(actor), expires: Date.now() + HINT_TTL_MS });
+    return;
+  }
+  emit(type, user.toObject ? user.toObject() : user, actorOf(actor));
+};
+
+const takeHint = (id) => {
+  const hint = hints.get(id);
+  hints.delete(id);
+  return hint && hint.expires > Date.now() ? hint.actor : null;
+};
+
+// Change stream entry -> event type, or null when nothing visible changed
+const changeType = (change) => {
+  if (change.operationType === 'insert') return 'created';
+  if (change.operationType === 'delete') return 'deleted'; // purged from the trash
+  if (change.operationType === 'replace') return 'updated';
+  if (change.operationType !== 'update') return null;
+
+  const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+  if ('deletedAt' in updatedFields) return updatedFields.deletedAt ? 'deleted' : 'restored';
+  const touched = [...Object.keys(updatedFields), ...removedFields];
+  return touched.some((field) => WATCHED_FIELDS.includes(field.split('.')[0])) ? 'updated' : null;
+};
+
+const watchUsers = () => {
+  const stream = User.watch([], { fullDocument: 'updateLookup' });
+  stream.on('change', (change) => {
+    const type = changeType(change);
+    if (!type) return;
+    const id = String(change.documentKey._id);
+    emit(type, change.fullDocument || { _id: change.documentKey._id }, takeHint(id));
+  });
+  stream.on('error', (error) => {
+    console.error('User change stream failed, falling back to in-process events:', error.message);
+    source = 'memory';
+    stream.close().catch(() => {});
+  });
+  // Hints whose change never arrived shouldn't pile up
+  setInterval(() => {
+    const now = Date.now();
+    hints.forEach((hint, id) => hint.expires <= now && hints.delete(id));
+  }, HINT_TTL_MS).unref();
+};
+
+// Called once connected: use a change stream where the deployment supports one
+const startUserEvents = async () => {
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      console.log('User events: standalone MongoDB, using in-process events');
+      return;
+    }
+    watchUsers();
+    source = 'change-stream';
+    console.log('User events: watching the users collection');
+  } catch (error) {
+    console.error('User events: change stream unavailable, using in-process events:', error.message);
+  }
+};
+
+// listener(event) for every event until the returned function is called
+const subscribeUserEvents = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+module.exports = { publishUserEvent, subscribeUserEvents, startUserEvents };
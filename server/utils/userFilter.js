@@ -0,0 +1,157 @@
+// utils/userFilter.js
+// A small filter language for the user list, e.g.
+//   role:admin,support -verified:true created:>=2024-01-01 lastLogin:never "smith"
+// Terms are ANDed; a leading "-" negates a term; comma-separated values are ORed;
+// bare words match the start of an email or of any word in a name.
+// Everything is translated into a fixed set of fields and operators, so user input
+// never becomes a Mongo operator or an unescaped regex.
+
+const { escapeRegex } = require('./regex');
+
+const MAX_LENGTH = 500;
+const MAX_TERMS = 20;
+
+// Thrown for input the user can fix; routes answer 400 with its message
+const filterError = (msg) => Object.assign(new Error(msg), { name: 'FilterError' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A bare day means the whole day: as an upper bound it runs to the end of it
+const parseDate = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (!value || isNaN(date)) throw filterError(`"${value}" is not a date (use YYYY-MM-DD)`);
+  return endOfDay && DAY_ONLY.test(value) ? new Date(date.getTime() + DAY_MS - 1) : date;
+};
+
+// { $gte, $lte } for a from/to pair where either side may be missing
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = parseDate(from);
+  if (to) range.$lte = parseDate(to, true);
+  return Object.keys(range).length ? range : undefined;
+};
+
+const parseBoolean = (value) => {
+  if (/^(true|yes|1)$/i.test(value)) return true;
+  if (/^(false|no|0)$/i.test(value)) return false;
+  throw filterError(`"${value}" is not true or false`);
+};
+
+// created:>2024-01-01, created:2024-01-01..2024-02-01, created:2024-03-05 (that day)
+const dateCondition = (path, value) => {
+  if (path === 'lastLoginAt' && value === 'never') return { lastLoginAt: null };
+
+  const comparison = value.match(/^(>=|<=|>|<)(.+)$/);
+  if (comparison) {
+    const [, op, date] = comparison;
+    const operators = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+    // "> day" starts after the whole day, "<= day" includes all of it
+    const endOfDay = op === '>' || op === '<=';
+    return { [path]: { [operators[op]]: parseDate(date, endOfDay) } };
+  }
+  const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+  return { [path]: dateRange(from, to) };
+};
+
+const textCondition = (path, value) => ({ [path]: { $regex: escapeRegex(value), $options: 'i' } });
+
+// field name in the language -> how its values become a condition
+const FIELDS = {
+  name: (values) => ({ $or: values.map((value) => textCondition('name', value)) }),
+  email: (values) => ({ $or: values.map((value) => textCondition('email', value)) }),
+  role: (values) => ({ role: { $in: values.map((value) => value.toLowerCase()) } }),
+  active: ([value]) => ({ isActive: parseBoolean(value) }),
+  verified: ([value]) => ({ emailVerified: parseBoolean(value) }),
+  '2fa': ([value]) => ({ twoFactorEnabled: parseBoolean(value) }),
+  created: (values) => ({ $or: values.map((value) => dateCondition('createdAt', value)) }),
+  updated: (values) => ({ $or: values.map((value) => dateCondition('updatedAt', value)) }),
+  lastLogin: (values) => ({ $or: values.map((value) => dateCondition('lastLoginAt', value)) }),
+};
+
+const MAX_SEARCH_LENGTH = 100;
+
+// Escaped prefix match: emails from their start (stored lowercase, so the
+// anchored, case-sensitive pattern can use the email index), names from the
+// start of any word. Input is always literal text, never a pattern.
+const searchCondition = (value) => {
+  const term = String(value).trim().slice(0, MAX_SEARCH_LENGTH);
+  return {
+    $or: [
+      { email: { $regex: `^${escapeRegex(term.toLowerCase())}` } },
+      { name: { $regex: `(^|\\s)${escapeRegex(term)}`, $options: 'i' } },
+    ],
+  };
+};
+
+// Bare words search like the search box
+const anyText = (value) => searchCondition(value);
+
+const TERM = /(-)?(?:([\w]+):)?(?:"([^"]*)"|(\S+))/g;
+
+// Expression -> list of Mongo conditions to AND together
+const parseFilterExpression = (expression) => {
+  const text = String(expression || '').trim();
+  if (!text) return [];
+  if (text.length > MAX_LENGTH) throw filterError(`Filter is longer than ${MAX_LENGTH} characters`);
+
+  const terms = [...text.matchAll(TERM)];
+  if (terms.length > MAX_TERMS) throw filterError(`Filter has more than ${MAX_TERMS} terms`);
+
+  return terms.map(([, negate, field, quoted, bare]) => {
+    const raw = quoted ?? bare;
+    let condition;
+    if (!field) {
+      condition = anyText(raw);
+    } else {
+      const toCondition = FIELDS[field];
+      if (!toCondition) {
+        throw filterError(`Unknown filter field "${field}". Use one of: ${Object.keys(FIELDS).join(', ')}`);
+      }
+      const values = raw.split(',').map((value) => value.trim()).filter(Boolean);
+      if (!values.length) throw filterError(`"${field}:" needs a value`);
+      condition = toCondition(values);
+    }
+    return negate ? { $nor: [condition] } : condition;
+  });
+};
+
+// Query parameters that describe a filtered, sorted user list (what a saved view stores)
+const VIEW_PARAMS = [
+  'search',
+  'role',
+  'active',
+  'q',
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo',
+  'lastLoginFrom',
+  'lastLoginTo',
+  'sort',
+];
+
+// Fields the user list may be sorted by (besides relevance), "field:asc|desc"
+const SORT_FIELDS = ['name', 'email', 'role', 'isActive', 'emailVerified', 'createdAt', 'updatedAt', 'lastLoginAt'];
+const DEFAULT_SORT = 'createdAt:desc';
+
+// Only the known, non-empty list parameters, as strings
+const pickViewParams = (params = {}) =>
+  Object.fromEntries(
+    VIEW_PARAMS.filter((key) => params[key] !== undefined && params[key] !== null && params[key] !== '').map((key) => [
+      key,
+      String(params[key]).slice(0, MAX_LENGTH),
+    ])
+  );
+
+module.exports = {
+  parseFilterExpression,
+  dateRange,
+  searchCondition,
+  filterError,
+  pickViewParams,
+  VIEW_PARAMS,
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  FILTER_FIELDS: Object.keys(FIELDS),
+};
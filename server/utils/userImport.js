@@ -0,0 +1,105 @@
+// utils/userImport.js
+const { parse } = require('csv-parse/sync');
+const User = require('../models/User');
+const Role = require('../models/Role');
+
+const IMPORT_MAX_ROWS = 1000;
+const FIELDS = ['name', 'email', 'role', 'password'];
+
+// Header spellings recognised when guessing which column holds which field
+const FIELD_PATTERNS = {
+  name: /^(full[\s_-]?)?name$/i,
+  email: /^e[\s_-]?mail([\s_-]?address)?$/i,
+  role: /^role$/i,
+  password: /^password$/i,
+};
+
+// Turn the uploaded CSV text or JSON into { columns, rows } or { error }
+const parseRows = (format, data) => {
+  let rows;
+  try {
+    if (Array.isArray(data)) rows = data;
+    else if (format === 'json') rows = JSON.parse(data);
+    else rows = parse(String(data || ''), { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  } catch (error) {
+    return { error: `Could not read the file: ${error.message}` };
+  }
+
+  if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== 'object')) {
+    return { error: 'JSON imports must be an array of objects' };
+  }
+  if (rows.length === 0) return { error: 'The file has no rows' };
+  if (rows.length > IMPORT_MAX_ROWS) return { error: `Imports are limited to ${IMPORT_MAX_ROWS} rows` };
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { columns, rows };
+};
+
+// field -> column, for every field a column header recognisably names
+const guessMapping = (columns) =>
+  Object.fromEntries(
+    FIELDS.map((field) => [field, columns.find((column) => FIELD_PATTERNS[field].test(column.trim()))]).filter(
+      ([, column]) => column
+    )
+  );
+
+// Keep only known fields that point at columns the file actually has
+const pickMapping = (mapping, columns) =>
+  Object.fromEntries(FIELDS.filter((field) => columns.includes(mapping[field])).map((field) => [field, mapping[field]]));
+
+// Check every row the way saving it would, plus duplicates within the file and
+// against existing users. canAssign(roleName) decides which roles the importer may grant.
+const validateRows = async (rows, mapping, { mode, defaultRole = 'user', canAssign }) => {
+  const pick = (row, field) => (mapping[field] ? String(row[mapping[field]] ?? '').trim() : '');
+
+  const records = rows.map((row, index) => ({
+    row: index + 1,
+    name: pick(row, 'name'),
+    email: pick(row, 'email').toLowerCase(),
+    role: pick(row, 'role').toLowerCase() || defaultRole,
+    password: pick(row, 'password'),
+    errors: [],
+  }));
+
+  const emails = records.map((record) => record.email).filter(Boolean);
+  const [existing, roleNames] = await Promise.all([
+    User.find({ email: { $in: emails } }).select('email'),
+    Role.distinct('name'),
+  ]);
+  const taken = new Set(existing.map((user) => user.email));
+  const assignable = {}; // role name -> may the importer grant it
+  const firstRowFor = new Map();
+
+  for (const record of records) {
+    if (record.email) {
+      if (firstRowFor.has(record.email)) record.errors.push(`Duplicate of row ${firstRowFor.get(record.email)}`);
+      else firstRowFor.set(record.email, record.row);
+      if (taken.has(record.email)) record.errors.push('A user with this email already exists');
+    }
+
+    if (!roleNames.includes(record.role)) {
+      record.errors.push(`Role "${record.role}" does not exist`);
+    } else {
+      if (assignable[record.role] === undefined) assignable[record.role] = await canAssign(record.role);
+      if (!assignable[record.role]) record.errors.push('You cannot assign this role');
+    }
+
+    // Invitees choose their own name and password when they accept
+    const pathsToSkip = mode === 'invite' ? ['role', 'name', 'password'] : ['role'];
+    const doc = new User({ name: record.name, email: record.email, password: record.password, role: record.role });
+    try {
+      await doc.validate({ pathsToSkip });
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      record.errors.push(...Object.values(error.errors).map((fieldError) => fieldError.message));
+    }
+
+    record.status = record.errors.length ? 'invalid' : 'valid';
+  }
+  return records;
+};
+
+// What the report shows for a row; passwords never leave the server
+const toReportRow = ({ password, ...record }) => record;
+
+module.exports = { IMPORT_MAX_ROWS, FIELDS, parseRows, guessMapping, pickMapping, validateRows, toReportRow };
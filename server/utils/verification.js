@@ -0,0 +1,31 @@
+// utils/verification.js
+const { sendMail, clientUrl } = require('../mail');
+const templates = require('../mail/templates');
+
+// EMAIL_VERIFICATION controls what unverified accounts may do:
+//   off      - nothing is enforced
+//   limited  - they can sign in and manage their own account, but not reach admin routes
+//   required - they cannot sign in at all
+const POLICIES = ['off', 'limited', 'required'];
+
+const verificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION || 'limited';
+  return POLICIES.includes(policy) ? policy : 'limited';
+};
+
+// Generate a fresh token, persist its hash and mail the link
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    ...templates.emailVerification({
+      name: user.name,
+      url: clientUrl(`/verify-email/${token}`),
+      expiresInHours: user.constructor.EMAIL_VERIFICATION_TTL_HOURS,
+    }),
+  });
+};
+
+module.exports = { verificationPolicy, sendVerificationEmail };
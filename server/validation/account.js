@@ -0,0 +1,35 @@
+// validation/account.js
+// Request schemas for routes/account.js (the signed-in user's own profile)
+const Joi = require('joi');
+const { name, email, password } = require('./user');
+
+const updateProfile = {
+  body: Joi.object({
+    name,
+    email,
+    currentPassword: Joi.string().trim().allow(''),
+    newPassword: password.allow(''),
+  }),
+};
+
+// Confirms enrollment with a code from the authenticator app
+const enableTwoFactor = {
+  body: Joi.object({
+    code: Joi.string().trim().max(10).required().messages({
+      'string.empty': 'Enter the code from your authenticator app',
+      'any.required': 'Enter the code from your authenticator app',
+    }),
+  }),
+};
+
+// The current password, asked for again before turning 2FA off or replacing recovery codes
+const confirmPassword = {
+  body: Joi.object({
+    password: Joi.string().trim().required().messages({
+      'string.empty': 'Password is required',
+      'any.required': 'Password is required',
+    }),
+  }),
+};
+
+module.exports = { updateProfile, enableTwoFactor, confirmPassword };
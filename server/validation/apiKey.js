@@ -0,0 +1,26 @@
+// validation/apiKey.js
+// Request schemas for routes/apiKey.js (the signed-in user's own API keys)
+const Joi = require('joi');
+const { idParams } = require('./common');
+const Role = require('../models/Role');
+
+const create = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      'string.empty': 'Name is required',
+      'any.required': 'Name is required',
+      'string.max': 'Name must be at most 100 characters',
+    }),
+    // Defaults to everything the role grants; checked against the role in the route
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Role.PERMISSIONS))
+      .unique()
+      .messages({ 'any.only': 'Unknown permission', 'array.unique': 'Permissions are listed twice' }),
+    expiresAt: Joi.date().iso().greater('now').allow(null).messages({
+      'date.format': 'Must be an ISO date',
+      'date.greater': 'Must be in the future',
+    }),
+  }),
+};
+
+module.exports = { create, byId: { params: idParams } };
@@ -0,0 +1,22 @@
+// validation/audit.js
+// Request schemas for routes/audit.js
+const Joi = require('joi');
+const { objectId } = require('./common');
+
+const action = Joi.string().max(500);
+
+const list = {
+  query: Joi.object({
+    actor: objectId.label('Actor'),
+    target: objectId.label('Target'),
+    // "a,b", or repeated as ?action=a&action=b
+    action: Joi.alternatives().try(action.allow(''), Joi.array().items(action).max(50)),
+    from: Joi.date().iso().messages({ 'date.format': 'Must be an ISO date' }),
+    to: Joi.date().iso().messages({ 'date.format': 'Must be an ISO date' }),
+    search: Joi.string().allow('').max(200),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).default(20), // capped at 100 by the route
+  }),
+};
+
+module.exports = { list };
@@ -0,0 +1,12 @@
+// validation/common.js
+const Joi = require('joi');
+
+// A Mongo ObjectId as a 24-character hex string
+const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} is not a valid id',
+  'string.length': '{{#label}} is not a valid id',
+});
+
+const idParams = Joi.object({ id: objectId.required().messages({ 'string.hex': 'Invalid id', 'string.length': 'Invalid id' }) });
+
+module.exports = { objectId, idParams };
@@ -0,0 +1,28 @@
+// validation/role.js
+// Request schemas for routes/role.js
+const Joi = require('joi');
+const { idParams } = require('./common');
+const Role = require('../models/Role');
+
+const name = Joi.string().trim().lowercase().max(50).pattern(/^[a-z0-9_-]+$/).messages({
+  'string.empty': 'Name is required',
+  'any.required': 'Name is required',
+  'string.max': 'Name must be at most 50 characters',
+  'string.pattern.base': 'Name may only contain letters, numbers, "-" and "_"',
+});
+const description = Joi.string().trim().allow('').max(500).messages({ 'string.max': 'Description must be at most 500 characters' });
+// Checked against the requester's own permissions in the route
+const permissions = Joi.array()
+  .items(Joi.string().valid(...Role.PERMISSIONS))
+  .messages({ 'any.only': 'Unknown permission' });
+
+const create = {
+  body: Joi.object({ name: name.required(), description, permissions }),
+};
+
+const update = {
+  params: idParams,
+  body: Joi.object({ name, description, permissions }),
+};
+
+module.exports = { create, update, byId: { params: idParams } };
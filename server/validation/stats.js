@@ -0,0 +1,34 @@
+// validation/stats.js
+// Request schemas for routes/stats.js
+const Joi = require('joi');
+const { isTimeZone } = require('../utils/timeSeries');
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// from/to are instants (the client sends its local midnights); tz decides where days begin
+const range = {
+  query: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    interval: Joi.string().valid('day', 'week').default('day'),
+    tz: Joi.string()
+      .max(64)
+      .default('UTC')
+      .custom((value, helpers) => (isTimeZone(value) ? value : helpers.error('any.invalid')))
+      .messages({ 'any.invalid': 'Unknown time zone' }),
+  })
+    .custom((query) => {
+      const to = query.to || new Date();
+      const from = query.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+      return { ...query, from, to };
+    })
+    .custom((query, helpers) => {
+      if (query.from > query.to) return helpers.message('The start date must be before the end date');
+      if (query.to - query.from > MAX_RANGE_DAYS * DAY_MS) return helpers.message(`Pick a range of at most ${MAX_RANGE_DAYS} days`);
+      return query;
+    }),
+};
+
+module.exports = { range };
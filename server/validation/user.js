@@ -0,0 +1,174 @@
+// validation/user.js
+// Request schemas for routes/user.js, used as validate(schemas.<route>).
+// Strings are trimmed here, so handlers get clean values; the model still
+// enforces its own rules (email format, role exists) when saving.
+const Joi = require('joi');
+const { objectId, idParams } = require('./common');
+
+const name = Joi.string().trim().min(2).max(100).messages({
+  'string.empty': 'Name is required',
+  'any.required': 'Name is required',
+  'string.min': 'Name must be at least 2 characters',
+  'string.max': 'Name must be at most 100 characters',
+});
+const email = Joi.string().trim().lowercase().email({ tlds: { allow: false } }).max(254).messages({
+  'string.empty': 'Email is required',
+  'any.required': 'Email is required',
+  'string.email': 'Please enter a valid email',
+});
+const password = Joi.string().trim().min(6).max(128).messages({
+  'string.empty': 'Password is required',
+  'any.required': 'Password is required',
+  'string.min': 'Password must be at least 6 characters',
+  'string.max': 'Password must be at most 128 characters',
+});
+const role = Joi.string().trim().lowercase().max(50);
+// Scheduled activation/deactivation: a future instant, or null to cancel
+const scheduledAt = Joi.date().iso().greater('now').allow(null).messages({
+  'date.format': 'Must be an ISO date',
+  'date.greater': 'Must be in the future',
+});
+
+// Filters shared by the list, export and bulk endpoints (see buildQuery)
+const filterKeys = {
+  search: Joi.string().allow(''),
+  role: Joi.string().allow(''),
+  active: Joi.string().valid('true', 'false', ''),
+  q: Joi.string().allow('').max(500),
+  createdFrom: Joi.string().allow(''),
+  createdTo: Joi.string().allow(''),
+  updatedFrom: Joi.string().allow(''),
+  updatedTo: Joi.string().allow(''),
+  lastLoginFrom: Joi.string().allow(''),
+  lastLoginTo: Joi.string().allow(''),
+  sort: Joi.string().allow(''),
+  deleted: Joi.string().valid('only', 'include', ''),
+};
+
+const create = {
+  body: Joi.object({
+    name: name.required(),
+    email: email.required(),
+    password: password.required(),
+    role: role.default('user'),
+    isActive: Joi.boolean().default(true),
+    activateAt: scheduledAt,
+    deactivateAt: scheduledAt,
+  }),
+};
+
+// role is never taken from a self-service signup
+const register = {
+  body: Joi.object({ name: name.required(), email: email.required(), password: password.required() }),
+};
+
+const list = {
+  query: Joi.object({
+    ...filterKeys,
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1), // capped by utils/pagination.js
+    cursor: Joi.string().max(500),
+  }),
+};
+
+const exportUsers = {
+  query: Joi.object({ ...filterKeys, format: Joi.string().valid('csv', 'ndjson', 'xlsx'), columns: Joi.string().allow('') }),
+};
+
+const bulk = {
+  body: Joi.object({
+    action: Joi.string().required(),
+    ids: Joi.array().items(objectId).max(500),
+    filter: Joi.object(filterKeys),
+    role: role.when('action', { is: 'role', then: Joi.required() }),
+  })
+    .xor('ids', 'filter')
+    .messages({ 'object.missing': 'Provide ids or a filter', 'object.xor': 'Provide ids or a filter, not both' }),
+};
+
+const importUsers = {
+  body: Joi.object({
+    format: Joi.string().valid('csv', 'json').required(),
+    data: Joi.alternatives(Joi.string(), Joi.array()).required(),
+    mapping: Joi.object().pattern(Joi.string(), Joi.string().allow('', null)),
+    mode: Joi.string().valid('password', 'invite').default('password'),
+    defaultRole: role.allow(''),
+    dryRun: Joi.boolean().default(false),
+  }),
+};
+
+// Everything an admin may change; the rest of a user (sessions, lockout, 2FA) has its own routes
+const update = {
+  params: idParams,
+  body: Joi.object({
+    name,
+    email,
+    password,
+    role,
+    isActive: Joi.boolean(),
+    activateAt: scheduledAt,
+    deactivateAt: scheduledAt,
+  })
+    .min(1)
+    .messages({ 'object.min': 'Nothing to update' }),
+};
+
+const login = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().required().messages({ 'string.empty': 'Email is required', 'any.required': 'Email is required' }),
+    password: Joi.string().trim().required().messages({ 'string.empty': 'Password is required', 'any.required': 'Password is required' }),
+  }),
+};
+
+const loginTwoFactor = {
+  body: Joi.object({
+    challenge: Joi.string().required(),
+    code: Joi.string().trim().max(10),
+    recoveryCode: Joi.string().trim().max(50),
+  }).or('code', 'recoveryCode'),
+};
+
+const loginHistory = {
+  params: idParams,
+  query: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1), // capped by utils/pagination.js
+    result: Joi.string().valid('success', 'failure', ''),
+  }),
+};
+
+const sessionById = {
+  params: idParams.keys({ sessionId: objectId.required().label('Session id') }),
+};
+
+const emailOnly = { body: Joi.object({ email: email.required() }) };
+
+const verify = { params: Joi.object({ token: Joi.string().max(128).required() }) };
+
+const resetPassword = {
+  body: Joi.object({
+    token: Joi.string().max(128).required().messages({ 'any.required': 'Token and new password are required' }),
+    password: password.required(),
+  }),
+};
+
+module.exports = {
+  byId: { params: idParams },
+  create,
+  register,
+  list,
+  exportUsers,
+  bulk,
+  importUsers,
+  update,
+  login,
+  loginTwoFactor,
+  loginHistory,
+  sessionById,
+  emailOnly,
+  verify,
+  resetPassword,
+  name,
+  email,
+  password,
+};